@@ -1,6 +1,29 @@
 const express = require('express');
+const multer = require('multer');
 const router = express.Router();
 const ChatController = require('../controller/chatController');
+const { protect, getUserIdentity } = require('../controller/authController');
+const catchAsync = require('../util/catchAsync');
+const AppError = require('../util/appError');
+
+// Attachments are held in memory until they are written to the storage backend
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: ChatController.MAX_ATTACHMENT_BYTES, files: 1 }
+});
+
+// Read a single file from the "file" field, turning upload limit errors into API errors
+const uploadAttachmentFile = (req, res, next) => {
+  upload.single('file')(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      const statusCode = error.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+      return next(new AppError(error.code === 'LIMIT_FILE_SIZE'
+        ? `Attachments must be at most ${ChatController.MAX_ATTACHMENT_BYTES} bytes`
+        : error.message, statusCode));
+    }
+    next(error);
+  });
+};
 
 // Health check endpoint for Socket.IO chat
 router.get('/health', (req, res) => {
@@ -44,6 +67,43 @@ router.get('/room/:roomId', (req, res) => {
   }
 });
 
+// Get a page of a room's messages, oldest first - members only
+// Query: { before? | after? (cursors from a previous page or room-state), limit? }
+router.get('/room/:roomId/messages', protect, catchAsync(async (req, res, next) => {
+  const { roomId } = req.params;
+  const { before, after, limit } = req.query;
+
+  await ChatController.requireRoomMember(roomId, req.user.id);
+  const { messages, hasMore, cursors } = await ChatController.getMessagesPage(roomId, { before, after, limit });
+
+  res.status(200).json({
+    status: 'success',
+    results: messages.length,
+    data: {
+      messages,
+      hasMore,
+      cursors
+    }
+  });
+}));
+
+// Search the messages of the signed-in user's rooms, newest first
+// Query: { q, roomId?, authorId?, from?, to? (ISO dates), before? (cursor from the previous page), limit? }
+router.get('/search', protect, catchAsync(async (req, res, next) => {
+  const { q, roomId, authorId, from, to, before, limit } = req.query;
+  const { messages, hasMore, cursor } = await ChatController.searchMessages(req.user.id, { q, roomId, authorId, from, to, before, limit });
+
+  res.status(200).json({
+    status: 'success',
+    results: messages.length,
+    data: {
+      messages,
+      hasMore,
+      cursor
+    }
+  });
+}));
+
 // Get all active rooms
 router.get('/rooms', (req, res) => {
   const rooms = [];
@@ -86,4 +146,47 @@ router.get('/stats', (req, res) => {
   });
 });
 
+// Get the signed-in user's mentions, newest first
+// Query: { limit?, before? (createdAt of the oldest mention already loaded), roomId? }
+router.get('/mentions', protect, catchAsync(async (req, res, next) => {
+  const { limit, before, roomId } = req.query;
+  const { mentions, hasMore } = await ChatController.getMentions(req.user.id, { limit, before, roomId });
+
+  res.status(200).json({
+    status: 'success',
+    results: mentions.length,
+    data: {
+      mentions,
+      hasMore
+    }
+  });
+}));
+
+// Upload a file to attach to a message in a room - members only
+// Multipart body: { file }. Send the returned id in send-message's attachmentIds.
+router.post('/room/:roomId/attachments', protect, uploadAttachmentFile, catchAsync(async (req, res, next) => {
+  const attachment = await ChatController.saveAttachment(req.params.roomId, getUserIdentity(req.user), req.file);
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      attachment
+    }
+  });
+}));
+
+// Download an attachment - members of the room it was posted in only
+router.get('/attachments/:attachmentId', protect, catchAsync(async (req, res, next) => {
+  const { attachment, content } = await ChatController.readAttachment(req.params.attachmentId, req.user.id);
+
+  // Images open in the browser, anything else is downloaded
+  const disposition = attachment.mimeType.startsWith('image/') ? 'inline' : 'attachment';
+  res.set({
+    'Content-Type': attachment.mimeType,
+    'Content-Length': String(content.length),
+    'Content-Disposition': `${disposition}; filename="${attachment.fileName.replace(/[^\w.-]/g, '_')}"; filename*=UTF-8''${encodeURIComponent(attachment.fileName)}`
+  });
+  res.status(200).send(content);
+}));
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,99 @@
+const express = require('express');
+const {
+  getMyBoards,
+  getBoard,
+  createBoardTask,
+  updateBoardTask,
+  moveBoardTask,
+  deleteBoardTask,
+  queryTasks,
+  requireBoardMember,
+  getActivity,
+  exportBoard,
+  importBoard
+} = require('../controller/taskBoardController');
+const { protect } = require('../controller/authController');
+
+const router = express.Router();
+
+/**
+ * Task Board Routes
+ *
+ * Changes made here are broadcast to connected Socket.IO clients
+ * exactly like the matching task board socket events
+ */
+
+// Protect all routes - require authentication
+router.use(protect);
+
+/**
+ * GET / - Task boards the user is a member of
+ */
+router.get('/', getMyBoards);
+
+/**
+ * GET /tasks - Tasks across the user's boards
+ * Query: { assigneeId? ('me' for the current user), label?, priority?, columnId?, dueBefore?, dueAfter? }
+ */
+router.get('/tasks', queryTasks);
+
+/**
+ * POST /:roomId/import - Create (mode=create) or replace (mode=replace, members only) a board
+ * from a JSON or CSV export
+ * Query: { format? ('json' | 'csv'), mode? ('create' | 'replace'), dryRun? }
+ * Body: JSON export, or CSV text sent as text/csv
+ */
+router.post('/:roomId/import', express.text({ type: ['text/csv', 'text/plain'], limit: '10mb' }), importBoard);
+
+// Board routes are restricted to the board's members
+router.use('/:roomId', requireBoardMember);
+
+/**
+ * GET /:roomId - Board with columns, tasks, revision and members
+ */
+router.get('/:roomId', getBoard);
+
+/**
+ * GET /:roomId/export - Download a board as JSON or CSV
+ * Query: { format? ('json' | 'csv') }
+ */
+router.get('/:roomId/export', exportBoard);
+
+/**
+ * GET /:roomId/tasks - Tasks of a board, filtered like GET /tasks
+ * POST /:roomId/tasks - Create a task
+ * Body: { columnId, task, baseRevision? }
+ */
+router.route('/:roomId/tasks')
+  .get(queryTasks)
+  .post(createBoardTask);
+
+/**
+ * PATCH /:roomId/tasks/:taskId - Update task fields
+ * Body: { title?, description?, assigneeIds?, dueDate?, priority?, labels?, baseRevision? }
+ * DELETE /:roomId/tasks/:taskId - Delete a task
+ * Query: { baseRevision? }
+ */
+router.route('/:roomId/tasks/:taskId')
+  .patch(updateBoardTask)
+  .delete(deleteBoardTask);
+
+/**
+ * POST /:roomId/tasks/:taskId/move - Move a task
+ * Body: { toColumnId, newIndex, fromColumnId?, baseRevision? }
+ */
+router.post('/:roomId/tasks/:taskId/move', moveBoardTask);
+
+/**
+ * GET /:roomId/activity - Activity log of a task board
+ * Query: { taskId?, limit?, before? }
+ */
+router.get('/:roomId/activity', getActivity);
+
+/**
+ * GET /:roomId/tasks/:taskId/activity - History of a single task
+ * Query: { limit?, before? }
+ */
+router.get('/:roomId/tasks/:taskId/activity', getActivity);
+
+module.exports = router;
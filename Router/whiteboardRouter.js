@@ -0,0 +1,37 @@
+const express = require('express');
+const { exportSvg, getReplay, updateReplaySettings, requireWhiteboardParticipant } = require('../controller/whiteboardController');
+const { protect } = require('../controller/authController');
+
+const router = express.Router();
+
+/**
+ * Whiteboard Routes
+ *
+ * Views of the state kept by the whiteboard Socket.IO handlers, and replay settings
+ */
+
+// Protect all routes - require authentication
+router.use(protect);
+
+// Whiteboard routes are restricted to users who joined the whiteboard, and admins
+router.use('/:roomId', requireWhiteboardParticipant);
+
+/**
+ * GET /:roomId/svg - Whiteboard rendered as a standalone SVG document
+ * Query: { pageId?, crop? ('true' to fit the objects), padding?, background? (CSS colour), width?, height?, download? }
+ */
+router.get('/:roomId/svg', exportSvg);
+
+/**
+ * GET /:roomId/replay - State at a point in time plus a page of the operation log
+ * Query: { at? (ISO date, now by default), after? (seq cursor), limit? }
+ */
+router.get('/:roomId/replay', getReplay);
+
+/**
+ * PATCH /:roomId/replay - Set how many days of replay history the room keeps
+ * Body: { retentionDays } (null for the server default)
+ */
+router.patch('/:roomId/replay', updateReplaySettings);
+
+module.exports = router;
@@ -12,6 +12,8 @@ const userRouter = require('./Router/userRouter');
 const sessionRouter = require('./Router/sessionRouter');
 const { router: documentRouter } = require('./Router/documentRouter');
 const chatRouter = require('./Router/chatRouter');
+const taskBoardRouter = require('./Router/taskBoardRouter');
+const whiteboardRouter = require('./Router/whiteboardRouter');
 
 // Error handling
 const { globalErrorHandler } = require('./controller/errorController');
@@ -118,6 +120,8 @@ app.use('/api/collab/user', userRouter);
 app.use('/api/collab/session', sessionRouter);
 app.use('/api/collab/document', documentRouter);
 app.use('/api/collab/chat', chatRouter);
+app.use('/api/collab/taskboard', taskBoardRouter);
+app.use('/api/collab/whiteboard', whiteboardRouter);
 
 // Global error handling middleware
 app.use(globalErrorHandler);
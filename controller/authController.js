@@ -96,37 +96,92 @@ exports.login = catchAsync(async (req, res, next) => {
         });
 });
 
-// Protect middleware - Check if user is logged in
-exports.protect = catchAsync(async (req, res, next) => {
-    // 1) Getting token and check if it's there
-    let token;
-    if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
-        token = req.headers.authorization.split(' ')[1];
-    } else if (req.cookies.jwt) {
-        token = req.cookies.jwt;
-    }
-
+// Verify a Supabase access token and return the user it belongs to
+const verifyToken = async (token) => {
     if (!token) {
-        return next(new AppError('You are not logged in! Please login to get access', 401));
+        throw new AppError('You are not logged in! Please login to get access', 401);
     }
 
-    // 2) Verify token with Supabase
+    // Verify token with Supabase
     const { data: { user }, error } = await supabase.auth.getUser(token);
 
     if (error || !user) {
-        return next(new AppError('You are not logged in! Please login to get access', 401));
+        throw new AppError('You are not logged in! Please login to get access', 401);
     }
 
-    // 3) Check if user still exists and is verified
+    // Check if user still exists and is verified
     if (!user.email_confirmed_at) {
-        return next(new AppError('Please verify your email before accessing this resource', 401));
+        throw new AppError('Please verify your email before accessing this resource', 401);
+    }
+
+    return user;
+};
+
+// Identity of a verified Supabase user as used by the REST API and Socket.IO alike
+const getUserIdentity = (user) => ({
+    id: user.id,
+    name: user.user_metadata?.full_name || user.email,
+    email: user.email
+});
+
+exports.getUserIdentity = getUserIdentity;
+
+// Parse a raw Cookie header into a name -> value object
+const parseCookies = (cookieHeader) => {
+    return cookieHeader.split(';').reduce((cookies, pair) => {
+        const index = pair.indexOf('=');
+        if (index !== -1) {
+            const name = pair.slice(0, index).trim();
+            cookies[name] = decodeURIComponent(pair.slice(index + 1).trim());
+        }
+        return cookies;
+    }, {});
+};
+
+// Protect middleware - Check if user is logged in
+exports.protect = catchAsync(async (req, res, next) => {
+    // 1) Getting token and check if it's there
+    let token;
+    if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+        token = req.headers.authorization.split(' ')[1];
+    } else if (req.cookies.jwt) {
+        token = req.cookies.jwt;
     }
 
-    // 4) Grant access to protected route
-    req.user = user;
+    // 2) Verify token and grant access to protected route
+    req.user = await verifyToken(token);
     next();
 });
 
+// Protect middleware for Socket.IO - Check the handshake carries a valid token
+exports.protectSocket = async (socket, next) => {
+    try {
+        const { auth = {}, headers = {} } = socket.handshake;
+
+        // 1) Getting token from handshake auth, Authorization header or jwt cookie
+        let token = auth.token;
+        if (!token && headers.authorization && headers.authorization.startsWith('Bearer')) {
+            token = headers.authorization.split(' ')[1];
+        } else if (!token && headers.cookie) {
+            token = parseCookies(headers.cookie).jwt;
+        }
+
+        // 2) Verify token and attach the verified identity to the socket
+        const user = await verifyToken(token);
+        socket.data.user = getUserIdentity(user);
+        next();
+    } catch (error) {
+        // Surface a structured connect_error to the client
+        const statusCode = error.statusCode || 500;
+        const connectError = new Error(error.isOperational ? error.message : 'Authentication failed');
+        connectError.data = {
+            status: `${statusCode}`.startsWith('4') ? 'fail' : 'error',
+            statusCode
+        };
+        next(connectError);
+    }
+};
+
 // Restrict to certain roles
 exports.restrictTo = (...roles) => {
     return catchAsync(async (req, res, next) => {
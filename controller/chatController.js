@@ -1,4 +1,9 @@
 const { createClient } = require('@supabase/supabase-js');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const AppError = require('../util/appError');
+const { getAttachmentStorage } = require('../util/attachmentStorage');
+const { buildSnippet } = require('../util/searchSnippet');
 
 // Initialize Supabase client
 const supabase = createClient(
@@ -11,21 +16,70 @@ const activeRooms = new Map();
 const userSessions = new Map();
 const typingUsers = new Map(); // roomId -> Set of user IDs who are typing
 
+const THREAD_PAGE_SIZE = 50;
+const MAX_THREAD_PAGE_SIZE = 200;
+const MAX_EMOJI_LENGTH = 32;
+// One or more emoji: pictographs with their skin tone, variation and joiner parts, flags and keycaps
+const EMOJI_PATTERN = /^(?:(?:\p{Extended_Pictographic}|\p{Regional_Indicator}|[#*0-9]\uFE0F?\u20E3)(?:\p{Emoji_Modifier}|[\uFE0F\u20E3\u200D]|[\u{E0020}-\u{E007F}]|\p{Regional_Indicator})*)+$/u;
+const MENTION_PAGE_SIZE = 50;
+const MAX_MENTION_PAGE_SIZE = 200;
+const MENTION_PATTERN = /(^|[^\w@])@([\w.-]+)/g;
+const MAX_ATTACHMENTS_PER_MESSAGE = 10;
+const MESSAGE_PAGE_SIZE = 50;
+const MAX_MESSAGE_PAGE_SIZE = 100;
+const SEARCH_PAGE_SIZE = 20;
+const MAX_SEARCH_PAGE_SIZE = 100;
+const MAX_SEARCH_QUERY_LENGTH = 200;
+const MAX_ATTACHMENT_BYTES = Number(process.env.CHAT_MAX_ATTACHMENT_BYTES) || 10 * 1024 * 1024;
+const ALLOWED_ATTACHMENT_TYPES = (process.env.CHAT_ALLOWED_ATTACHMENT_TYPES || [
+  'image/png', 'image/jpeg', 'image/gif', 'image/webp',
+  'application/pdf', 'text/plain', 'text/csv', 'application/zip',
+  'application/msword', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.ms-excel', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'application/vnd.ms-powerpoint', 'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+].join(',')).split(',').map(type => type.trim()).filter(Boolean);
+
+/**
+ * Tables used besides chat_messages { id, room_id, user_id, user_name, user_email, message_text, created_at,
+ * edited_at, deleted_at, deleted_by, parent_id, reply_count, last_reply_at }:
+ * - chat_room_members      { room_id, user_id, user_name, user_email, role ('moderator' | 'member'), joined_at }   the first user to join a room moderates it,
+ *                            one moderator per room: unique index on (room_id) where role = 'moderator'
+ * - chat_message_revisions { id, message_id, room_id, message_text, edited_by, edited_by_name, created_at }   text replaced by each edit or delete
+ * - chat_message_reactions { message_id, room_id, user_id, user_name, emoji, created_at }   unique per message, user and emoji
+ * - chat_mentions          { id, message_id, room_id, user_id, kind ('user' | 'here' | 'room'), mentioned_by, mentioned_by_name, created_at }
+ * - chat_attachments       { id, room_id, message_id, uploaded_by, file_name, mime_type, size, storage_backend, storage_key, created_at }
+ *                            uploaded first, then linked to the message that references it in send-message
+ *
+ * A message with a parent_id is a reply in the thread of that parent. Threads are one level deep:
+ * replying to a reply posts into the same thread. Replies are left out of the room's main history.
+ *
+ * `@name` mentions a room member by their name without spaces or the part of their email before the @,
+ * `@here` mentions the members currently in the room and `@room` every member. Mentioned users get a
+ * `mention` event on all of their sockets, whichever room those sockets are in.
+ */
+
 class ChatController {
+  // Largest attachment accepted by the upload endpoint
+  static MAX_ATTACHMENT_BYTES = MAX_ATTACHMENT_BYTES;
+
   /**
    * Initialize Socket.IO chat handlers
    */
   static initializeSocketIO(io) {
     io.on('connection', (socket) => {
 
+      // Every socket listens on its user's personal room for mentions
+      socket.join(ChatController.getUserRoom(socket.data.user.id));
+
       // Handle connection errors
       socket.on('connect_error', (error) => {
         console.error('❌ Socket.IO connection error:', error);
       });
 
       // Handle user joining a room
-      socket.on('join-room', async ({ roomId, user }) => {
+      socket.on('join-room', async ({ roomId }) => {
         try {
+          const user = socket.data.user;
           
           // Leave any previous rooms
           const previousSession = userSessions.get(socket.id);
@@ -33,7 +87,8 @@ class ChatController {
             await ChatController.handleUserLeave(socket, previousSession.roomId, io);
           }
           
-          // Join the new room
+          // Join the new room and remember the user as a member of it
+          await ChatController.addRoomMember(roomId, user);
           socket.join(roomId);
           
           // Store user info
@@ -59,10 +114,11 @@ class ChatController {
           // Load message history from database
           const messageHistory = await ChatController.getMessageHistory(roomId);
           
-          // Send current room state to the joining user
+          // Send current room state to the joining user, with the cursor to load older messages over REST
           socket.emit('room-state', {
             messages: messageHistory,
-            onlineUsers: Array.from(roomData.users.values())
+            onlineUsers: Array.from(roomData.users.values()),
+            cursor: messageHistory.length > 0 ? ChatController.encodeCursor(messageHistory[0]) : null
           });
           
           // Notify room about new user
@@ -77,9 +133,14 @@ class ChatController {
         }
       });
 
-      // Handle sending messages
-      socket.on('send-message', async ({ roomId, message, user }) => {
+      // Handle sending messages - with a parentId the message is a reply in that message's thread,
+      // attachmentIds are files the sender uploaded to the room beforehand
+      socket.on('send-message', async ({ roomId, message, parentId, attachmentIds } = {}) => {
         try {
+          const user = socket.data.user;
+          await ChatController.requireRoomMember(roomId, user.id);
+          const parent = parentId ? await ChatController.findThreadParent(roomId, parentId) : null;
+          const attachments = attachmentIds ? await ChatController.findUnsentAttachments(roomId, attachmentIds, user) : [];
           
           const messageData = {
             id: Date.now().toString() + '-' + Math.random().toString(36).substr(2, 9),
@@ -90,14 +151,30 @@ class ChatController {
               email: user.email
             },
             timestamp: new Date().toISOString(),
-            roomId: roomId
+            roomId: roomId,
+            parentId: parent ? parent.id : null,
+            replyCount: 0,
+            lastReplyAt: null,
+            reactions: [],
+            attachments: []
           };
           
           // Store message in database
           await ChatController.saveMessage(messageData);
-          
-          // Store message in room (keep last 100 messages in memory)
-          if (activeRooms.has(roomId)) {
+          try {
+            messageData.attachments = await ChatController.linkAttachments(messageData.id, attachments);
+          } catch (error) {
+            // The message is not sent without its attachments
+            await supabase.from('chat_messages').delete().eq('id', messageData.id);
+            throw error;
+          }
+
+          // Replies only update their thread's parent, they are not part of the room's main timeline
+          let thread = null;
+          if (parent) {
+            thread = await ChatController.addThreadReply(parent, messageData);
+          } else if (activeRooms.has(roomId)) {
+            // Store message in room (keep last 100 messages in memory)
             const roomData = activeRooms.get(roomId);
             roomData.messages.push(messageData);
             
@@ -108,19 +185,38 @@ class ChatController {
           
           // Broadcast message to all users in the room (including sender)
           io.to(roomId).emit('new-message', messageData);
+          if (thread) {
+            io.to(roomId).emit('thread-updated', thread);
+          }
+
+          // Notify mentioned users - the message is already sent, so a failure here is only logged
+          try {
+            await ChatController.notifyMentions(io, messageData);
+          } catch (error) {
+            console.error('❌ Error delivering mentions:', error);
+          }
           
           // Clear typing indicator for this user
           ChatController.clearTypingIndicator(socket, roomId, user, io);
           
         } catch (error) {
-          console.error('❌ Error sending message:', error);
-          socket.emit('error', { message: 'Failed to send message', error: error.message });
+          ChatController.emitError(socket, error, 'Failed to send message');
+        }
+      });
+
+      // Handle fetching a thread: its parent message and a page of replies, oldest first
+      socket.on('get-thread', async ({ messageId, limit, before } = {}) => {
+        try {
+          socket.emit('thread-messages', await ChatController.getThread(messageId, socket.data.user.id, { limit, before }));
+        } catch (error) {
+          ChatController.emitError(socket, error, 'Failed to load thread');
         }
       });
 
       // Handle typing indicator
-      socket.on('typing-start', ({ roomId, user }) => {
+      socket.on('typing-start', ({ roomId }) => {
         try {
+          const user = socket.data.user;
           if (!typingUsers.has(roomId)) {
             typingUsers.set(roomId, new Set());
           }
@@ -137,13 +233,14 @@ class ChatController {
         }
       });
 
-      socket.on('typing-stop', ({ roomId, user }) => {
-        ChatController.clearTypingIndicator(socket, roomId, user, io);
+      socket.on('typing-stop', ({ roomId }) => {
+        ChatController.clearTypingIndicator(socket, roomId, socket.data.user, io);
       });
 
       // Handle message read receipts
-      socket.on('message-read', async ({ roomId, messageId, userId }) => {
+      socket.on('message-read', async ({ roomId, messageId }) => {
         try {
+          const userId = socket.data.user.id;
           // Update read status in database
           await ChatController.markMessageAsRead(messageId, userId);
           
@@ -158,6 +255,59 @@ class ChatController {
         }
       });
 
+      // Handle editing a message - only its author or a moderator of its room may edit it
+      socket.on('edit-message', async ({ messageId, text } = {}) => {
+        try {
+          const message = await ChatController.editMessage(messageId, text, socket.data.user);
+
+          io.to(message.roomId).emit('message-edited', {
+            messageId: message.id,
+            roomId: message.roomId,
+            text: message.text,
+            editedAt: message.editedAt,
+            editedBy: { id: socket.data.user.id, name: socket.data.user.name }
+          });
+        } catch (error) {
+          ChatController.emitError(socket, error, 'Failed to edit message');
+        }
+      });
+
+      // Handle deleting a message - the message is kept as a placeholder in history
+      socket.on('delete-message', async ({ messageId } = {}) => {
+        try {
+          const message = await ChatController.deleteMessage(messageId, socket.data.user);
+
+          io.to(message.roomId).emit('message-deleted', {
+            messageId: message.id,
+            roomId: message.roomId,
+            deletedAt: message.deletedAt,
+            deletedBy: { id: socket.data.user.id, name: socket.data.user.name }
+          });
+        } catch (error) {
+          ChatController.emitError(socket, error, 'Failed to delete message');
+        }
+      });
+
+      // Handle reacting to a message - a user holds each emoji at most once per message
+      socket.on('add-reaction', async ({ messageId, emoji } = {}) => {
+        try {
+          const update = await ChatController.addReaction(messageId, emoji, socket.data.user);
+          io.to(update.roomId).emit('message-reactions-updated', update);
+        } catch (error) {
+          ChatController.emitError(socket, error, 'Failed to add reaction');
+        }
+      });
+
+      // Handle taking back a reaction
+      socket.on('remove-reaction', async ({ messageId, emoji } = {}) => {
+        try {
+          const update = await ChatController.removeReaction(messageId, emoji, socket.data.user);
+          io.to(update.roomId).emit('message-reactions-updated', update);
+        } catch (error) {
+          ChatController.emitError(socket, error, 'Failed to remove reaction');
+        }
+      });
+
       // Handle user leaving room
       socket.on('leave-room', async ({ roomId }) => {
         await ChatController.handleUserLeave(socket, roomId, io);
@@ -257,7 +407,10 @@ class ChatController {
           user_name: messageData.user.name,
           user_email: messageData.user.email,
           message_text: messageData.text,
-          created_at: messageData.timestamp
+          created_at: messageData.timestamp,
+          parent_id: messageData.parentId || null,
+          reply_count: 0,
+          last_reply_at: null
         }]);
 
       if (error) {
@@ -279,7 +432,9 @@ class ChatController {
         .from('chat_messages')
         .select('*')
         .eq('room_id', roomId)
+        .is('parent_id', null)
         .order('created_at', { ascending: false })
+        .order('id', { ascending: false })
         .limit(limit);
 
       if (error) {
@@ -288,25 +443,906 @@ class ChatController {
       }
 
       // Convert database format to message format
-      const messages = data.reverse().map(msg => ({
-        id: msg.id,
-        text: msg.message_text,
-        user: {
-          id: msg.user_id,
-          name: msg.user_name,
-          email: msg.user_email
-        },
-        timestamp: msg.created_at,
-        roomId: msg.room_id
-      }));
-
-      return messages;
+      const messages = data.reverse().map(ChatController.fromMessageRow);
+
+      return await ChatController.withMessageDetails(messages);
     } catch (error) {
       console.error('❌ Database error:', error);
       return [];
     }
   }
 
+  /**
+   * Get a page of a room's messages, oldest first, ordered by (created_at, id).
+   * `before` loads the messages preceding a cursor, `after` the ones following it,
+   * and neither the latest page. Thread replies are left out like in the room's history.
+   */
+  static async getMessagesPage(roomId, { before, after, limit } = {}) {
+    const pageSize = limit === undefined ? MESSAGE_PAGE_SIZE : Number(limit);
+    if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_MESSAGE_PAGE_SIZE) {
+      throw new AppError(`limit must be a whole number between 1 and ${MAX_MESSAGE_PAGE_SIZE}`, 400);
+    }
+    if (before && after) {
+      throw new AppError('Please provide either before or after, not both', 400);
+    }
+
+    let query = supabase
+      .from('chat_messages')
+      .select('*')
+      .eq('room_id', roomId)
+      .is('parent_id', null);
+
+    // Newer pages are read forwards from the cursor, older and latest pages backwards
+    const forwards = !!after;
+    const cursor = ChatController.decodeCursor(after || before);
+    if (cursor) {
+      const op = forwards ? 'gt' : 'lt';
+      query = query.or(`created_at.${op}."${cursor.createdAt}",and(created_at.eq."${cursor.createdAt}",id.${op}."${cursor.id}")`);
+    }
+
+    const { data: rows, error } = await query
+      .order('created_at', { ascending: forwards })
+      .order('id', { ascending: forwards })
+      .limit(pageSize + 1);
+
+    if (error) throw new AppError(error.message, 500);
+
+    const page = rows.slice(0, pageSize);
+    if (!forwards) page.reverse();
+    const messages = await ChatController.withMessageDetails(page.map(ChatController.fromMessageRow));
+
+    return {
+      messages,
+      hasMore: rows.length > pageSize,
+      cursors: {
+        before: messages.length > 0 ? ChatController.encodeCursor(messages[0]) : null,
+        after: messages.length > 0 ? ChatController.encodeCursor(messages[messages.length - 1]) : null
+      }
+    };
+  }
+
+  /**
+   * Full-text search over the messages of the rooms a user belongs to, newest first.
+   * `q` uses web search syntax ("exact phrase", -excluded, OR). Deleted messages are never matched.
+   * Full-text queries on message_text should be backed by a GIN index on to_tsvector('english', message_text).
+   */
+  static async searchMessages(userId, { q, roomId, authorId, from, to, before, limit } = {}) {
+    if (typeof q !== 'string' || q.trim().length === 0) {
+      throw new AppError('Please provide a search query', 400);
+    }
+    if (q.length > MAX_SEARCH_QUERY_LENGTH) {
+      throw new AppError(`Search queries must be at most ${MAX_SEARCH_QUERY_LENGTH} characters`, 400);
+    }
+    const pageSize = limit === undefined ? SEARCH_PAGE_SIZE : Number(limit);
+    if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_SEARCH_PAGE_SIZE) {
+      throw new AppError(`limit must be a whole number between 1 and ${MAX_SEARCH_PAGE_SIZE}`, 400);
+    }
+    const [fromDate, toDate] = [['from', from], ['to', to]].map(([name, value]) => {
+      if (value === undefined) return null;
+      const date = new Date(value);
+      if (Number.isNaN(date.getTime())) throw new AppError(`${name} must be an ISO date`, 400);
+      return date.toISOString();
+    });
+
+    // Only rooms the user belongs to are searched
+    let roomIds;
+    if (roomId) {
+      await ChatController.requireRoomMember(roomId, userId);
+      roomIds = [roomId];
+    } else {
+      const { data: memberships, error: membershipError } = await supabase
+        .from('chat_room_members')
+        .select('room_id')
+        .eq('user_id', userId);
+
+      if (membershipError) throw new AppError(membershipError.message, 500);
+      roomIds = memberships.map(membership => membership.room_id);
+    }
+    if (roomIds.length === 0) {
+      return { messages: [], hasMore: false, cursor: null };
+    }
+
+    let query = supabase
+      .from('chat_messages')
+      .select('*')
+      .in('room_id', roomIds)
+      .is('deleted_at', null)
+      .textSearch('message_text', q.trim(), { type: 'websearch', config: 'english' });
+
+    if (authorId) query = query.eq('user_id', authorId);
+    if (fromDate) query = query.gte('created_at', fromDate);
+    if (toDate) query = query.lte('created_at', toDate);
+
+    const cursor = ChatController.decodeCursor(before);
+    if (cursor) {
+      query = query.or(`created_at.lt."${cursor.createdAt}",and(created_at.eq."${cursor.createdAt}",id.lt."${cursor.id}")`);
+    }
+
+    const { data: rows, error } = await query
+      .order('created_at', { ascending: false })
+      .order('id', { ascending: false })
+      .limit(pageSize + 1);
+
+    if (error) throw new AppError(error.message, 500);
+
+    const messages = rows.slice(0, pageSize).map(row => ({
+      ...ChatController.fromMessageRow(row),
+      snippet: buildSnippet(row.message_text, q)
+    }));
+
+    return {
+      messages,
+      hasMore: rows.length > pageSize,
+      cursor: messages.length > 0 ? ChatController.encodeCursor(messages[messages.length - 1]) : null
+    };
+  }
+
+  /**
+   * Opaque cursor pointing at a message's position in a room
+   */
+  static encodeCursor(message) {
+    return Buffer.from(JSON.stringify([message.timestamp, message.id])).toString('base64url');
+  }
+
+  /**
+   * Read a cursor made by encodeCursor, or fail with a 400
+   */
+  static decodeCursor(cursor) {
+    if (cursor === undefined || cursor === '') return null;
+
+    let createdAt;
+    let id;
+    try {
+      [createdAt, id] = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    } catch (error) {
+      throw new AppError('Invalid cursor', 400);
+    }
+
+    // Only values that are safe to put in a filter are accepted
+    const time = new Date(createdAt);
+    if (typeof createdAt !== 'string' || Number.isNaN(time.getTime()) || typeof id !== 'string' || !/^[\w-]+$/.test(id)) {
+      throw new AppError('Invalid cursor', 400);
+    }
+
+    return { createdAt: time.toISOString(), id };
+  }
+
+  /**
+   * Convert a chat_messages row to the message format sent to clients.
+   * Deleted messages become placeholders without their text.
+   */
+  static fromMessageRow(msg) {
+    return {
+      id: msg.id,
+      text: msg.deleted_at ? null : msg.message_text,
+      user: {
+        id: msg.user_id,
+        name: msg.user_name,
+        email: msg.user_email
+      },
+      timestamp: msg.created_at,
+      roomId: msg.room_id,
+      edited: !!msg.edited_at,
+      editedAt: msg.edited_at || null,
+      deleted: !!msg.deleted_at,
+      deletedAt: msg.deleted_at || null,
+      parentId: msg.parent_id || null,
+      replyCount: msg.reply_count || 0,
+      lastReplyAt: msg.last_reply_at || null
+    };
+  }
+
+  /**
+   * Load the message a reply is posted under. Replying to a reply posts into the same thread.
+   */
+  static async findThreadParent(roomId, parentId) {
+    const { data: parent, error } = await supabase
+      .from('chat_messages')
+      .select('*')
+      .eq('id', parentId)
+      .maybeSingle();
+
+    if (error) throw new AppError(error.message, 500);
+    if (!parent || parent.room_id !== roomId) throw new AppError('Parent message not found', 404);
+
+    return parent.parent_id ? ChatController.findThreadParent(roomId, parent.parent_id) : parent;
+  }
+
+  /**
+   * Count a new reply on its thread's parent message and return the thread's new totals.
+   * The totals are recounted from the saved replies so concurrent replies can't overwrite each other's count.
+   */
+  static async addThreadReply(parent, reply) {
+    const { data: latest, count, error: countError } = await supabase
+      .from('chat_messages')
+      .select('created_at', { count: 'exact' })
+      .eq('parent_id', parent.id)
+      .order('created_at', { ascending: false })
+      .limit(1);
+
+    if (countError) throw new AppError(countError.message, 500);
+
+    const { data: updated, error } = await supabase
+      .from('chat_messages')
+      .update({ reply_count: count, last_reply_at: latest.length > 0 ? latest[0].created_at : reply.timestamp })
+      .eq('id', parent.id)
+      .select()
+      .single();
+
+    if (error) throw new AppError(error.message, 500);
+
+    const thread = {
+      messageId: parent.id,
+      roomId: parent.room_id,
+      replyCount: updated.reply_count,
+      lastReplyAt: updated.last_reply_at
+    };
+    ChatController.updateBufferedMessage(parent.room_id, parent.id, { replyCount: thread.replyCount, lastReplyAt: thread.lastReplyAt });
+    return thread;
+  }
+
+  /**
+   * Get a thread's parent message and a page of its replies, oldest first, for a member of its room.
+   * `before` is a reply timestamp to load the replies preceding it.
+   */
+  static async getThread(messageId, userId, { limit, before } = {}) {
+    const pageSize = limit === undefined ? THREAD_PAGE_SIZE : Number(limit);
+    if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_THREAD_PAGE_SIZE) {
+      throw new AppError(`limit must be a whole number between 1 and ${MAX_THREAD_PAGE_SIZE}`, 400);
+    }
+    const beforeDate = before === undefined || before === null ? null : new Date(before);
+    if (beforeDate && Number.isNaN(beforeDate.getTime())) {
+      throw new AppError('before must be an ISO date', 400);
+    }
+
+    const { data: parent, error: parentError } = await supabase
+      .from('chat_messages')
+      .select('*')
+      .eq('id', messageId)
+      .is('parent_id', null)
+      .maybeSingle();
+
+    if (parentError) throw new AppError(parentError.message, 500);
+    if (!parent) throw new AppError('Thread not found', 404);
+    await ChatController.requireRoomMember(parent.room_id, userId);
+
+    let query = supabase
+      .from('chat_messages')
+      .select('*')
+      .eq('parent_id', parent.id);
+
+    if (beforeDate) query = query.lt('created_at', beforeDate.toISOString());
+
+    const { data: replies, error } = await query
+      .order('created_at', { ascending: false })
+      .limit(pageSize + 1);
+
+    if (error) throw new AppError(error.message, 500);
+
+    const [message, ...thread] = await ChatController.withMessageDetails([
+      ChatController.fromMessageRow(parent),
+      ...replies.slice(0, pageSize).reverse().map(ChatController.fromMessageRow)
+    ]);
+
+    return {
+      message,
+      replies: thread,
+      hasMore: replies.length > pageSize
+    };
+  }
+
+  /**
+   * Add a user to a room's members - the first member of a room becomes its moderator.
+   * Two users joining an empty room at once both try to become its moderator; the unique
+   * moderator index lets only one of them, and the other joins as a member.
+   */
+  static async addRoomMember(roomId, user) {
+    const { count, error: countError } = await supabase
+      .from('chat_room_members')
+      .select('user_id', { count: 'exact', head: true })
+      .eq('room_id', roomId);
+
+    if (countError) throw new AppError(countError.message, 500);
+
+    const join = (role) => supabase
+      .from('chat_room_members')
+      .upsert([{
+        room_id: roomId,
+        user_id: user.id,
+        user_name: user.name,
+        user_email: user.email,
+        role,
+        joined_at: new Date().toISOString()
+      }], { onConflict: 'room_id,user_id', ignoreDuplicates: true });
+
+    let { error } = await join(count === 0 ? 'moderator' : 'member');
+    if (error && error.code === '23505') {
+      ({ error } = await join('member'));
+    }
+
+    if (error) throw new AppError(error.message, 500);
+  }
+
+  /**
+   * Whether a user may moderate a room: a moderator of the room or an admin
+   */
+  static async canModerate(roomId, userId) {
+    const { data: member, error } = await supabase
+      .from('chat_room_members')
+      .select('role')
+      .eq('room_id', roomId)
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (error) throw new AppError(error.message, 500);
+    if (member && member.role === 'moderator') return true;
+
+    const { data: userData, error: userError } = await supabase
+      .from('users')
+      .select('role')
+      .eq('id', userId)
+      .maybeSingle();
+
+    if (userError) throw new AppError(userError.message, 500);
+    return !!userData && userData.role === 'admin';
+  }
+
+  /**
+   * Load a message that has not been deleted, checking the user may change it
+   */
+  static async findEditableMessage(messageId, user) {
+    if (typeof messageId !== 'string' || messageId.length === 0) {
+      throw new AppError('Please provide a messageId', 400);
+    }
+
+    const { data: message, error } = await supabase
+      .from('chat_messages')
+      .select('*')
+      .eq('id', messageId)
+      .maybeSingle();
+
+    if (error) throw new AppError(error.message, 500);
+    if (!message || message.deleted_at) throw new AppError('Message not found', 404);
+
+    if (message.user_id !== user.id && !(await ChatController.canModerate(message.room_id, user.id))) {
+      throw new AppError('You can only change your own messages', 403);
+    }
+
+    return message;
+  }
+
+  /**
+   * Keep the text a message had before an edit or delete
+   */
+  static async saveRevision(message, user) {
+    const { error } = await supabase
+      .from('chat_message_revisions')
+      .insert([{
+        id: uuidv4(),
+        message_id: message.id,
+        room_id: message.room_id,
+        message_text: message.message_text,
+        edited_by: user.id,
+        edited_by_name: user.name,
+        created_at: new Date().toISOString()
+      }]);
+
+    if (error) throw new AppError(error.message, 500);
+  }
+
+  /**
+   * Change the text of a message, keeping the previous text as a revision
+   */
+  static async editMessage(messageId, text, user) {
+    if (typeof text !== 'string' || text.trim().length === 0) {
+      throw new AppError('Please provide the new message text', 400);
+    }
+
+    const message = await ChatController.findEditableMessage(messageId, user);
+    await ChatController.saveRevision(message, user);
+
+    const editedAt = new Date().toISOString();
+    const { data: updated, error } = await supabase
+      .from('chat_messages')
+      .update({ message_text: text, edited_at: editedAt })
+      .eq('id', message.id)
+      .select()
+      .single();
+
+    if (error) throw new AppError(error.message, 500);
+
+    ChatController.updateBufferedMessage(message.room_id, message.id, { text, edited: true, editedAt });
+    return ChatController.fromMessageRow(updated);
+  }
+
+  /**
+   * Soft-delete a message: its text moves to a revision and history shows a placeholder
+   */
+  static async deleteMessage(messageId, user) {
+    const message = await ChatController.findEditableMessage(messageId, user);
+    await ChatController.saveRevision(message, user);
+
+    const deletedAt = new Date().toISOString();
+    const { data: updated, error } = await supabase
+      .from('chat_messages')
+      .update({ message_text: '', deleted_at: deletedAt, deleted_by: user.id })
+      .eq('id', message.id)
+      .select()
+      .single();
+
+    if (error) throw new AppError(error.message, 500);
+
+    ChatController.updateBufferedMessage(message.room_id, message.id, { text: null, deleted: true, deletedAt });
+    return ChatController.fromMessageRow(updated);
+  }
+
+  /**
+   * Add a user's reaction to a message and return the message's reactions
+   */
+  static async addReaction(messageId, emoji, user) {
+    const message = await ChatController.findReactableMessage(messageId, emoji, user);
+
+    const { error } = await supabase
+      .from('chat_message_reactions')
+      .upsert([{
+        message_id: message.id,
+        room_id: message.room_id,
+        user_id: user.id,
+        user_name: user.name,
+        emoji,
+        created_at: new Date().toISOString()
+      }], { onConflict: 'message_id,user_id,emoji', ignoreDuplicates: true });
+
+    if (error) throw new AppError(error.message, 500);
+
+    return ChatController.reactionsUpdate(message);
+  }
+
+  /**
+   * Remove a user's reaction from a message and return the message's reactions
+   */
+  static async removeReaction(messageId, emoji, user) {
+    const message = await ChatController.findReactableMessage(messageId, emoji, user);
+
+    const { error } = await supabase
+      .from('chat_message_reactions')
+      .delete()
+      .eq('message_id', message.id)
+      .eq('user_id', user.id)
+      .eq('emoji', emoji);
+
+    if (error) throw new AppError(error.message, 500);
+
+    return ChatController.reactionsUpdate(message);
+  }
+
+  /**
+   * Validate a reaction and load the message it is for, checking the user is a member of its room
+   */
+  static async findReactableMessage(messageId, emoji, user) {
+    if (typeof emoji !== 'string' || emoji.length > MAX_EMOJI_LENGTH || !EMOJI_PATTERN.test(emoji)) {
+      throw new AppError('Please provide an emoji', 400);
+    }
+    if (typeof messageId !== 'string' || messageId.length === 0) {
+      throw new AppError('Please provide a messageId', 400);
+    }
+
+    const { data: message, error } = await supabase
+      .from('chat_messages')
+      .select('id, room_id, deleted_at')
+      .eq('id', messageId)
+      .maybeSingle();
+
+    if (error) throw new AppError(error.message, 500);
+    if (!message || message.deleted_at) throw new AppError('Message not found', 404);
+    await ChatController.requireRoomMember(message.room_id, user.id);
+
+    return message;
+  }
+
+  /**
+   * Current reactions of a message as broadcast in message-reactions-updated
+   */
+  static async reactionsUpdate(message) {
+    const summaries = await ChatController.getReactionSummaries([message.id]);
+    const reactions = summaries.get(message.id) || [];
+
+    ChatController.updateBufferedMessage(message.room_id, message.id, { reactions });
+    return { messageId: message.id, roomId: message.room_id, reactions };
+  }
+
+  /**
+   * Add each message's aggregated reactions and its attachments to a list of messages
+   */
+  static async withMessageDetails(messages) {
+    const messageIds = messages.map(message => message.id);
+    const [summaries, attachments] = await Promise.all([
+      ChatController.getReactionSummaries(messageIds),
+      ChatController.getMessageAttachments(messageIds)
+    ]);
+
+    return messages.map(message => ({
+      ...message,
+      reactions: summaries.get(message.id) || [],
+      attachments: attachments.get(message.id) || []
+    }));
+  }
+
+  /**
+   * Aggregate the reactions of messages into messageId -> [{ emoji, count, userIds }],
+   * emojis in the order they were first used
+   */
+  static async getReactionSummaries(messageIds) {
+    const summaries = new Map();
+    if (messageIds.length === 0) return summaries;
+
+    const { data: reactions, error } = await supabase
+      .from('chat_message_reactions')
+      .select('message_id, user_id, emoji, created_at')
+      .in('message_id', messageIds)
+      .order('created_at', { ascending: true });
+
+    if (error) throw new AppError(error.message, 500);
+
+    reactions.forEach(reaction => {
+      if (!summaries.has(reaction.message_id)) summaries.set(reaction.message_id, []);
+      const list = summaries.get(reaction.message_id);
+
+      let summary = list.find(item => item.emoji === reaction.emoji);
+      if (!summary) {
+        summary = { emoji: reaction.emoji, count: 0, userIds: [] };
+        list.push(summary);
+      }
+      summary.count += 1;
+      summary.userIds.push(reaction.user_id);
+    });
+
+    return summaries;
+  }
+
+  /**
+   * Socket.IO room every socket of a user joins
+   */
+  static getUserRoom(userId) {
+    return `user:${userId}`;
+  }
+
+  /**
+   * Find the members a message mentions, with how they were mentioned. A direct
+   * mention wins over @here/@room, and authors are never notified of their own message.
+   */
+  static async resolveMentions(roomId, text, authorId) {
+    const tokens = new Set();
+    for (const match of String(text || '').matchAll(MENTION_PATTERN)) {
+      tokens.add(match[2].replace(/\.+$/, '').toLowerCase());
+    }
+    if (tokens.size === 0) return [];
+
+    const { data: members, error } = await supabase
+      .from('chat_room_members')
+      .select('user_id, user_name, user_email')
+      .eq('room_id', roomId);
+
+    if (error) throw new AppError(error.message, 500);
+
+    const roomData = activeRooms.get(roomId);
+    const online = new Set(roomData ? Array.from(roomData.users.values(), user => user.id) : []);
+
+    return members.reduce((mentions, member) => {
+      if (member.user_id === authorId) return mentions;
+
+      const names = [
+        (member.user_name || '').replace(/\s+/g, '').toLowerCase(),
+        (member.user_email || '').split('@')[0].toLowerCase()
+      ].filter(name => name && name !== 'here' && name !== 'room');
+
+      let kind = null;
+      if (names.some(name => tokens.has(name))) kind = 'user';
+      else if (tokens.has('room')) kind = 'room';
+      else if (tokens.has('here') && online.has(member.user_id)) kind = 'here';
+
+      if (kind) mentions.push({ userId: member.user_id, kind });
+      return mentions;
+    }, []);
+  }
+
+  /**
+   * Store the mentions in a message and send each mentioned user a `mention` event
+   */
+  static async notifyMentions(io, messageData) {
+    const mentions = await ChatController.resolveMentions(messageData.roomId, messageData.text, messageData.user.id);
+    if (mentions.length === 0) return;
+
+    const rows = mentions.map(mention => ({
+      id: uuidv4(),
+      message_id: messageData.id,
+      room_id: messageData.roomId,
+      user_id: mention.userId,
+      kind: mention.kind,
+      mentioned_by: messageData.user.id,
+      mentioned_by_name: messageData.user.name,
+      created_at: messageData.timestamp
+    }));
+
+    const { error } = await supabase
+      .from('chat_mentions')
+      .insert(rows);
+
+    if (error) throw new AppError(error.message, 500);
+
+    rows.forEach(row => {
+      io.to(ChatController.getUserRoom(row.user_id)).emit('mention', {
+        ...ChatController.fromMentionRow(row),
+        message: messageData
+      });
+    });
+  }
+
+  /**
+   * Get the mentions of a user, newest first. `before` is a mention timestamp to load older ones.
+   */
+  static async getMentions(userId, { limit, before, roomId } = {}) {
+    const pageSize = limit === undefined ? MENTION_PAGE_SIZE : Number(limit);
+    if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_MENTION_PAGE_SIZE) {
+      throw new AppError(`limit must be a whole number between 1 and ${MAX_MENTION_PAGE_SIZE}`, 400);
+    }
+    const beforeDate = before === undefined || before === null ? null : new Date(before);
+    if (beforeDate && Number.isNaN(beforeDate.getTime())) {
+      throw new AppError('before must be an ISO date', 400);
+    }
+
+    let query = supabase
+      .from('chat_mentions')
+      .select('*')
+      .eq('user_id', userId);
+
+    if (roomId) query = query.eq('room_id', roomId);
+    if (beforeDate) query = query.lt('created_at', beforeDate.toISOString());
+
+    const { data: mentions, error } = await query
+      .order('created_at', { ascending: false })
+      .limit(pageSize + 1);
+
+    if (error) throw new AppError(error.message, 500);
+
+    // Include the mentioning messages, as they are now
+    const page = mentions.slice(0, pageSize);
+    const { data: messages, error: messagesError } = page.length === 0
+      ? { data: [], error: null }
+      : await supabase
+        .from('chat_messages')
+        .select('*')
+        .in('id', page.map(mention => mention.message_id));
+
+    if (messagesError) throw new AppError(messagesError.message, 500);
+
+    const messagesById = new Map(messages.map(message => [message.id, ChatController.fromMessageRow(message)]));
+    return {
+      mentions: page.map(mention => ({
+        ...ChatController.fromMentionRow(mention),
+        message: messagesById.get(mention.message_id) || null
+      })),
+      hasMore: mentions.length > pageSize
+    };
+  }
+
+  /**
+   * Convert a chat_mentions row to the shape sent to clients
+   */
+  static fromMentionRow(row) {
+    return {
+      id: row.id,
+      kind: row.kind,
+      messageId: row.message_id,
+      roomId: row.room_id,
+      mentionedBy: { id: row.mentioned_by, name: row.mentioned_by_name },
+      createdAt: row.created_at
+    };
+  }
+
+  /**
+   * Fail with a 403 unless the user is a member of the room
+   */
+  static async requireRoomMember(roomId, userId) {
+    const { data: member, error } = await supabase
+      .from('chat_room_members')
+      .select('user_id')
+      .eq('room_id', roomId)
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (error) throw new AppError(error.message, 500);
+    if (!member) throw new AppError('You are not a member of this room', 403);
+  }
+
+  /**
+   * Check an uploaded file against the attachment size and type limits
+   */
+  static validateAttachmentFile(file) {
+    if (!file) {
+      throw new AppError('Please upload a file in the "file" field', 400);
+    }
+    if (file.size > MAX_ATTACHMENT_BYTES) {
+      throw new AppError(`Attachments must be at most ${MAX_ATTACHMENT_BYTES} bytes`, 413);
+    }
+    if (!ALLOWED_ATTACHMENT_TYPES.includes(file.mimetype)) {
+      throw new AppError(`Files of type ${file.mimetype} cannot be attached`, 415);
+    }
+  }
+
+  /**
+   * Store an uploaded file for a room. It stays unsent until a message references it.
+   */
+  static async saveAttachment(roomId, user, file) {
+    ChatController.validateAttachmentFile(file);
+    await ChatController.requireRoomMember(roomId, user.id);
+
+    const storage = getAttachmentStorage();
+    const id = uuidv4();
+    const row = {
+      id,
+      room_id: roomId,
+      message_id: null,
+      uploaded_by: user.id,
+      file_name: path.basename(file.originalname || 'file').slice(0, 255),
+      mime_type: file.mimetype,
+      size: file.size,
+      storage_backend: storage.name,
+      storage_key: `${encodeURIComponent(roomId)}/${id}`,
+      created_at: new Date().toISOString()
+    };
+
+    await storage.save(row.storage_key, file.buffer, row.mime_type);
+
+    const { error } = await supabase
+      .from('chat_attachments')
+      .insert([row]);
+
+    if (error) {
+      await storage.remove(row.storage_key).catch(() => {});
+      throw new AppError(error.message, 500);
+    }
+
+    return ChatController.fromAttachmentRow(row);
+  }
+
+  /**
+   * Load the attachments a message is about to reference: uploaded by the sender
+   * to the same room and not yet part of another message
+   */
+  static async findUnsentAttachments(roomId, attachmentIds, user) {
+    if (!Array.isArray(attachmentIds) || attachmentIds.some(id => typeof id !== 'string')) {
+      throw new AppError('attachmentIds must be a list of attachment ids', 400);
+    }
+    const ids = Array.from(new Set(attachmentIds));
+    if (ids.length > MAX_ATTACHMENTS_PER_MESSAGE) {
+      throw new AppError(`A message can have at most ${MAX_ATTACHMENTS_PER_MESSAGE} attachments`, 400);
+    }
+    if (ids.length === 0) return [];
+
+    const { data: attachments, error } = await supabase
+      .from('chat_attachments')
+      .select('*')
+      .in('id', ids)
+      .eq('room_id', roomId)
+      .eq('uploaded_by', user.id)
+      .is('message_id', null);
+
+    if (error) throw new AppError(error.message, 500);
+    if (attachments.length !== ids.length) throw new AppError('Attachment not found', 404);
+
+    // Keep the order the sender gave
+    return ids.map(id => attachments.find(attachment => attachment.id === id));
+  }
+
+  /**
+   * Mark attachments as part of a sent message and return their metadata.
+   * Only attachments not yet linked are updated, so two messages can't claim the same file.
+   */
+  static async linkAttachments(messageId, attachments) {
+    if (attachments.length === 0) return [];
+
+    const { data: linked, error } = await supabase
+      .from('chat_attachments')
+      .update({ message_id: messageId })
+      .in('id', attachments.map(attachment => attachment.id))
+      .is('message_id', null)
+      .select('id');
+
+    if (error) throw new AppError(error.message, 500);
+    if (linked.length < attachments.length) {
+      // Another message took some of them first - release the rest so they can still be sent
+      await supabase
+        .from('chat_attachments')
+        .update({ message_id: null })
+        .eq('message_id', messageId);
+      throw new AppError('Attachment already sent', 409);
+    }
+
+    return attachments.map(attachment => ChatController.fromAttachmentRow({ ...attachment, message_id: messageId }));
+  }
+
+  /**
+   * Group the attachments of messages into messageId -> [attachment], in upload order
+   */
+  static async getMessageAttachments(messageIds) {
+    const attachments = new Map();
+    if (messageIds.length === 0) return attachments;
+
+    const { data: rows, error } = await supabase
+      .from('chat_attachments')
+      .select('*')
+      .in('message_id', messageIds)
+      .order('created_at', { ascending: true });
+
+    if (error) throw new AppError(error.message, 500);
+
+    rows.forEach(row => {
+      if (!attachments.has(row.message_id)) attachments.set(row.message_id, []);
+      attachments.get(row.message_id).push(ChatController.fromAttachmentRow(row));
+    });
+
+    return attachments;
+  }
+
+  /**
+   * Load an attachment's metadata and contents for a member of the room it was posted in
+   */
+  static async readAttachment(attachmentId, userId) {
+    const { data: attachment, error } = await supabase
+      .from('chat_attachments')
+      .select('*')
+      .eq('id', attachmentId)
+      .maybeSingle();
+
+    if (error) throw new AppError(error.message, 500);
+    if (!attachment) throw new AppError('Attachment not found', 404);
+
+    await ChatController.requireRoomMember(attachment.room_id, userId);
+
+    const content = await getAttachmentStorage(attachment.storage_backend).read(attachment.storage_key);
+    return { attachment: ChatController.fromAttachmentRow(attachment), content };
+  }
+
+  /**
+   * Convert a chat_attachments row to the metadata sent to clients
+   */
+  static fromAttachmentRow(row) {
+    return {
+      id: row.id,
+      roomId: row.room_id,
+      messageId: row.message_id,
+      fileName: row.file_name,
+      mimeType: row.mime_type,
+      size: row.size,
+      uploadedBy: row.uploaded_by,
+      url: `/api/collab/chat/attachments/${row.id}`,
+      createdAt: row.created_at
+    };
+  }
+
+  /**
+   * Apply a change to a message in the room's in-memory buffer, if it is there
+   */
+  static updateBufferedMessage(roomId, messageId, changes) {
+    const roomData = activeRooms.get(roomId);
+    const message = roomData && roomData.messages.find(item => item.id === messageId);
+    if (message) Object.assign(message, changes);
+  }
+
+  /**
+   * Report a failed request to the socket that sent it
+   */
+  static emitError(socket, error, fallbackMessage) {
+    if (error.isOperational && error.statusCode < 500) {
+      socket.emit('error', { message: error.message });
+      return;
+    }
+
+    console.error(`❌ ${fallbackMessage}:`, error);
+    socket.emit('error', { message: fallbackMessage, error: error.message });
+  }
+
   /**
    * Mark message as read
    */
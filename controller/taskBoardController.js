@@ -1,124 +1,223 @@
 /**
  * TaskBoard Controller
  * Handles real-time collaboration for task boards using Socket.IO
+ *
+ * Boards are persisted in Supabase and cached in memory while a room is active:
+ * - task_boards         { room_id, revision, created_by, created_at, updated_at }
+ * - task_board_columns  { room_id, id, name, position }
+ * - task_board_tasks    { room_id, id, column_id, position, title, description, assignee_ids,
+ *                         due_date, priority, labels, comment_count, created_by, created_at, updated_at }
+ * - task_board_members  { room_id, user_id, user_name, joined_at }
+ * - task_board_activity { id, room_id, task_id, action, user_id, user_name, details, created_at }
+ * - task_comments       { id, room_id, task_id, user_id, user_name, text, created_at, updated_at }
+ *
+ * Task schema (validated on the server before anything is saved or broadcast):
+ * { id, title, description, assigneeIds, dueDate, priority, labels, commentCount, createdBy, createdAt, updatedAt }
+ *
+ * Every change bumps the board's revision, which is sent with each broadcast. Clients send the
+ * revision they based an operation on as `baseRevision`; moves based on an older revision are
+ * rebased onto the current order or rejected with a `board-resync` carrying the current board.
  */
 
+const { v4: uuidv4 } = require('uuid');
+const { supabaseAdmin } = require('../util/supabaseClient');
+const AppError = require('../util/appError');
+const catchAsync = require('../util/catchAsync');
+const { getUserIdentity } = require('./authController');
+const { toCsv, parseCsv } = require('../util/csv');
+
 // Store task boards per room
-const taskBoards = new Map(); // roomId -> board state
+const taskBoards = new Map(); // roomId -> board state (cached from the database)
 const roomUsers = new Map();  // roomId -> Set of {userId, userName, socketId}
+const boardMembers = new Map(); // roomId -> Map of userId -> {userId, userName}
+const boardRevisions = new Map(); // roomId -> { revision, history: [recent snapshots] }
+const boardQueues = new Map(); // roomId -> tail of the room's operation queue
+let ioInstance = null; // Socket.IO server used to broadcast changes
+
+// Task fields that clients may set - commentCount, createdBy, createdAt and updatedAt are managed by the server
+const UPDATABLE_TASK_FIELDS = ['title', 'description', 'assigneeIds', 'dueDate', 'priority', 'labels'];
+const SERVER_TASK_FIELDS = ['commentCount', 'createdBy', 'createdAt', 'updatedAt'];
+const TASK_PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+const TASK_LIMITS = {
+  id: 100,
+  title: 200,
+  description: 5000,
+  assignees: 50,
+  labels: 20,
+  label: 50
+};
+const MAX_COLUMN_NAME_LENGTH = 100;
+const MAX_REVISION_HISTORY = 50;
+const ACTIVITY_PAGE_SIZE = 50;
+const MAX_ACTIVITY_PAGE_SIZE = 200;
+const MAX_COMMENT_LENGTH = 5000;
+const COMMENT_PAGE_SIZE = 50;
+const MAX_COMMENT_PAGE_SIZE = 200;
+const EXPORT_VERSION = 1;
+const EXPORT_FORMATS = ['json', 'csv'];
+const IMPORT_MODES = ['create', 'replace'];
+const MAX_IMPORT_ERRORS = 100;
+const CSV_HEADERS = ['columnId', 'columnName', 'position', 'id', 'title', 'description', 'assigneeIds',
+  'dueDate', 'priority', 'labels', 'createdBy', 'createdAt', 'updatedAt'];
+const CSV_LIST_SEPARATOR = ';';
 
 /**
  * Initialize TaskBoard Socket.IO handlers
  */
 function initializeSocketIO(io) {
+  ioInstance = io;
 
   io.on('connection', (socket) => {
     let currentRoom = null;
     let currentUserId = null;
     let currentUserName = null;
 
-    // Handle joining a taskboard room
-    socket.on('join-taskboard', ({ roomId, userId, userName, currentBoard }) => {
-      
-      currentRoom = roomId;
-      currentUserId = userId;
-      currentUserName = userName;
-
-      // Join Socket.IO room
-      socket.join(roomId);
-
-      // Initialize room if it doesn't exist
-      if (!taskBoards.has(roomId)) {
-        taskBoards.set(roomId, currentBoard || getDefaultBoard());
-        roomUsers.set(roomId, new Set());
-      }
+    // Run a board operation for the room this socket has joined
+    const handleBoardEvent = async (event, fallbackMessage, operation) => {
+      if (!currentRoom) return;
 
-      // Add user to room
-      const users = roomUsers.get(roomId);
-      users.add({ userId, userName, socketId: socket.id });
+      try {
+        await operation(currentRoom, socket.data.user);
+      } catch (error) {
+        emitTaskboardError(socket, event, error, fallbackMessage);
 
-      // Notify others that user joined
-      socket.to(roomId).emit('user-joined', { userId, userName });
+        // A client that fell too far behind gets the current board to rebuild from
+        if (error.resync && taskBoards.has(currentRoom)) {
+          socket.emit('board-resync', { board: taskBoards.get(currentRoom), revision: getRevision(currentRoom) });
+        }
+      }
+    };
 
-      // Send current board state to the joining user
-      socket.emit('board-updated', taskBoards.get(roomId));
+    // Handle joining a taskboard room
+    socket.on('join-taskboard', async ({ roomId, currentBoard } = {}) => {
+      // Identity comes from the authenticated handshake, not the payload
+      const { id: userId, name: userName } = socket.data.user;
 
-      // Send list of online users
-      const onlineUsers = Array.from(users).map(u => ({ userId: u.userId, userName: u.userName }));
-      io.to(roomId).emit('online-users', onlineUsers);
+      try {
+        // Load the saved board, seeding it only if it is brand new, and record the member
+        const { board, revision } = await runInQueue(roomId, async () => {
+          const savedBoard = await ensureBoard(roomId, { seed: currentBoard, createdBy: userId });
+          await addMember(roomId, { userId, userName });
+          return { board: savedBoard, revision: getRevision(roomId) };
+        });
 
-    });
+        // The socket disconnected while the board was loading - don't leave it behind as an online user
+        if (!socket.connected) {
+          evictIdleBoard(roomId);
+          return;
+        }
 
-    // Handle adding a task
-    socket.on('add-task', ({ columnId, task }) => {
-      if (!currentRoom) return;
+        currentRoom = roomId;
+        currentUserId = userId;
+        currentUserName = userName;
 
+        // Join Socket.IO room
+        socket.join(roomId);
 
-      const board = taskBoards.get(currentRoom);
-      if (board) {
-        const column = board.find(col => col.id === columnId);
-        if (column) {
-          column.items.unshift(task); // Add to beginning
-          
-          // Broadcast to all users in the room
-          io.to(currentRoom).emit('task-added', { columnId, task });
-          
+        // Initialize user list for room if it doesn't exist
+        if (!roomUsers.has(roomId)) {
+          roomUsers.set(roomId, new Set());
         }
+
+        // Add user to room
+        const users = roomUsers.get(roomId);
+        users.add({ userId, userName, socketId: socket.id });
+
+        // Notify others that user joined
+        socket.to(roomId).emit('user-joined', { userId, userName });
+
+        // Send current board state and the members tasks can be assigned to
+        socket.emit('board-updated', board, { revision });
+        socket.emit('board-members', Array.from(boardMembers.get(roomId).values()));
+
+        // Send list of online users
+        const onlineUsers = Array.from(users).map(u => ({ userId: u.userId, userName: u.userName }));
+        io.to(roomId).emit('online-users', onlineUsers);
+      } catch (error) {
+        emitTaskboardError(socket, 'join-taskboard', error, 'Failed to load task board');
       }
     });
 
+    // Handle a client asking for the full board after missing a revision
+    socket.on('resync-board', () => {
+      handleBoardEvent('resync-board', 'Failed to load task board', async (roomId) => {
+        const { board, revision } = await runInQueue(roomId, async () => ({
+          board: await ensureBoard(roomId),
+          revision: getRevision(roomId)
+        }));
+        socket.emit('board-resync', { board, revision });
+      });
+    });
+
+    // Handle adding a task
+    socket.on('add-task', (payload) => {
+      handleBoardEvent('add-task', 'Failed to add task', (roomId, user) => addTask(roomId, user, payload));
+    });
+
     // Handle moving a task
-    socket.on('move-task', ({ taskId, fromColumnId, toColumnId, newIndex }) => {
-      if (!currentRoom) return;
+    socket.on('move-task', (payload) => {
+      handleBoardEvent('move-task', 'Failed to move task', (roomId, user) => moveTask(roomId, user, payload));
+    });
 
+    // Handle updating a task's fields in place
+    socket.on('update-task', (payload) => {
+      handleBoardEvent('update-task', 'Failed to update task', (roomId, user) => updateTask(roomId, user, payload));
+    });
 
-      const board = taskBoards.get(currentRoom);
-      if (board) {
-        const fromColumn = board.find(col => col.id === fromColumnId);
-        const toColumn = board.find(col => col.id === toColumnId);
+    // Handle removing a task
+    socket.on('remove-task', (payload) => {
+      handleBoardEvent('remove-task', 'Failed to remove task', (roomId, user) => removeTask(roomId, user, payload));
+    });
 
-        if (fromColumn && toColumn) {
-          const taskIndex = fromColumn.items.findIndex(item => item.id === taskId);
-          if (taskIndex !== -1) {
-            const [task] = fromColumn.items.splice(taskIndex, 1);
-            toColumn.items.splice(newIndex, 0, task);
+    // Handle adding a column
+    socket.on('add-column', (payload) => {
+      handleBoardEvent('add-column', 'Failed to add column', (roomId, user) => addColumn(roomId, user, payload));
+    });
 
-            // Broadcast to all users in the room
-            io.to(currentRoom).emit('task-moved', { taskId, fromColumnId, toColumnId, newIndex });
-            
-          }
-        }
-      }
+    // Handle renaming a column
+    socket.on('rename-column', (payload) => {
+      handleBoardEvent('rename-column', 'Failed to rename column', (roomId, user) => renameColumn(roomId, user, payload));
     });
 
-    // Handle removing a task
-    socket.on('remove-task', ({ columnId, taskId }) => {
-      if (!currentRoom) {
-        return;
-      }
+    // Handle reordering a column
+    socket.on('move-column', (payload) => {
+      handleBoardEvent('move-column', 'Failed to move column', (roomId, user) => moveColumn(roomId, user, payload));
+    });
 
+    // Handle removing a column - its tasks move to targetColumnId, or the removal is rejected
+    socket.on('remove-column', (payload) => {
+      handleBoardEvent('remove-column', 'Failed to remove column', (roomId, user) => removeColumn(roomId, user, payload));
+    });
 
-      const board = taskBoards.get(currentRoom);
-      if (!board) {
-        return;
-      }
+    // Handle fetching the activity log of the board, or of a single task
+    socket.on('get-task-activity', ({ taskId, limit, before } = {}) => {
+      handleBoardEvent('get-task-activity', 'Failed to load task activity', async (roomId) => {
+        const entries = await fetchActivity(roomId, { taskId, limit, before });
+        socket.emit('task-activity-history', { taskId: taskId || null, entries });
+      });
+    });
 
-      const column = board.find(col => col.id === columnId);
-      if (!column) {
-        return;
-      }
+    // Handle commenting on a task - the author is always the connected user
+    socket.on('add-task-comment', (payload) => {
+      handleBoardEvent('add-task-comment', 'Failed to add comment', (roomId, user) => addComment(roomId, user, payload));
+    });
 
-      const taskIndex = column.items.findIndex(item => item.id === taskId);
-      if (taskIndex === -1) {
-        return;
-      }
+    // Handle editing one of the user's own comments
+    socket.on('edit-task-comment', (payload) => {
+      handleBoardEvent('edit-task-comment', 'Failed to edit comment', (roomId, user) => editComment(roomId, user, payload));
+    });
+
+    // Handle deleting one of the user's own comments
+    socket.on('delete-task-comment', (payload) => {
+      handleBoardEvent('delete-task-comment', 'Failed to delete comment', (roomId, user) => deleteComment(roomId, user, payload));
+    });
 
-      // Remove the task
-      const [task] = column.items.splice(taskIndex, 1);
-      
-      // Broadcast to all users in the room
-      io.to(currentRoom).emit('task-removed', { columnId, taskId });
-      
+    // Handle fetching the comment thread of a task, oldest first
+    socket.on('get-task-comments', ({ taskId, limit, before } = {}) => {
+      handleBoardEvent('get-task-comments', 'Failed to load comments', async (roomId) => {
+        const comments = await fetchComments(roomId, { taskId, limit, before });
+        socket.emit('task-comments', { taskId: String(taskId), comments });
+      });
     });
 
     // Handle disconnection
@@ -142,11 +241,10 @@ function initializeSocketIO(io) {
           const onlineUsers = Array.from(users).map(u => ({ userId: u.userId, userName: u.userName }));
           io.to(currentRoom).emit('online-users', onlineUsers);
 
-          // Clean up empty rooms
+          // Drop empty rooms from the cache - skipped if someone rejoins meanwhile
           if (users.size === 0) {
-            taskBoards.delete(currentRoom);
             roomUsers.delete(currentRoom);
-          } else {
+            evictIdleBoard(currentRoom);
           }
         }
       }
@@ -155,6 +253,1737 @@ function initializeSocketIO(io) {
 
 }
 
+/**
+ * Add a task to the top of a column
+ */
+function addTask(roomId, user, { columnId, task, baseRevision } = {}) {
+  return runInQueue(roomId, async () => {
+    const board = await ensureBoard(roomId);
+    checkBaseRevision(roomId, baseRevision);
+
+    const column = findColumn(board, columnId);
+    const newTask = createTask(task, { createdBy: user.id, members: boardMembers.get(roomId) });
+    if (findTask(board, newTask.id)) {
+      throw new AppError('A task with this id already exists', 409);
+    }
+
+    // Add to beginning and persist before applying
+    const items = [newTask, ...column.items];
+    await saveColumnTasks(roomId, columnId, items);
+    column.items = items;
+    const revision = await commitRevision(roomId, { touchedTaskIds: [newTask.id] });
+
+    // Broadcast to all users in the room
+    broadcast(roomId, 'task-added', { columnId, task: newTask, revision });
+
+    await recordActivity(roomId, user, {
+      taskId: newTask.id,
+      action: 'add',
+      details: { columnId, title: newTask.title }
+    });
+
+    return { columnId, task: newTask, revision };
+  });
+}
+
+/**
+ * Move a task within or between columns (fromColumnId defaults to the task's current column).
+ * A move based on an older revision is rebased onto the current order by anchoring it
+ * to its neighbours at that revision, or rejected if the task itself has moved since.
+ */
+function moveTask(roomId, user, { taskId, fromColumnId, toColumnId, newIndex, baseRevision } = {}) {
+  return runInQueue(roomId, async () => {
+    const board = await ensureBoard(roomId);
+    const base = getBaseSnapshot(roomId, baseRevision, { taskId });
+    const fromColumn = fromColumnId == null ? findTaskColumn(board, taskId) : findColumn(board, fromColumnId);
+    const toColumn = findColumn(board, toColumnId);
+
+    const taskIndex = fromColumn.items.findIndex(item => item.id === String(taskId));
+    if (taskIndex === -1) throw new AppError('Task not found', 404);
+
+    // Work on copies so the cache only changes once the move is saved
+    const fromItems = [...fromColumn.items];
+    const [task] = fromItems.splice(taskIndex, 1);
+    const toItems = fromColumn === toColumn ? fromItems : [...toColumn.items];
+
+    // Validate against the order the client saw, then map onto the current order
+    const baseOrder = base ? (base.taskOrder[toColumn.id] || []).filter(id => id !== task.id) : toItems.map(item => item.id);
+    if (!Number.isInteger(newIndex) || newIndex < 0 || newIndex > baseOrder.length) {
+      throw new AppError(`Task index must be between 0 and ${baseOrder.length}`, 400);
+    }
+    const index = base ? rebaseIndex(baseOrder, toItems.map(item => item.id), newIndex) : newIndex;
+    toItems.splice(index, 0, task);
+
+    await saveColumnTasks(roomId, toColumn.id, toItems);
+    if (fromColumn !== toColumn) {
+      await saveColumnTasks(roomId, fromColumn.id, fromItems);
+    }
+    fromColumn.items = fromItems;
+    toColumn.items = toItems;
+    const revision = await commitRevision(roomId, { touchedTaskIds: [task.id] });
+
+    // Broadcast the applied index to all users in the room
+    const result = { taskId: task.id, fromColumnId: fromColumn.id, toColumnId: toColumn.id, newIndex: index, revision };
+    broadcast(roomId, 'task-moved', result);
+
+    await recordActivity(roomId, user, {
+      taskId: task.id,
+      action: 'move',
+      details: { fromColumnId: fromColumn.id, toColumnId: toColumn.id, fromIndex: taskIndex, toIndex: index }
+    });
+
+    return result;
+  });
+}
+
+/**
+ * Update a task's fields in place
+ */
+function updateTask(roomId, user, { taskId, changes, baseRevision } = {}) {
+  return runInQueue(roomId, async () => {
+    const board = await ensureBoard(roomId);
+    checkBaseRevision(roomId, baseRevision);
+
+    const found = findTask(board, taskId);
+    if (!found) throw new AppError('Task not found', 404);
+
+    const validChanges = validateTaskChanges(changes, boardMembers.get(roomId));
+    const { column, task } = found;
+    const position = column.items.indexOf(task);
+    const updatedTask = { ...task, ...validChanges, updatedAt: new Date().toISOString() };
+
+    // Keep the task's id and position, only its fields change
+    await saveTask(roomId, column.id, updatedTask, position);
+    column.items[position] = updatedTask;
+    const revision = await commitRevision(roomId);
+
+    // Broadcast to all users in the room
+    broadcast(roomId, 'task-updated', { columnId: column.id, taskId: task.id, changes: validChanges, task: updatedTask, revision });
+
+    const previous = {};
+    Object.keys(validChanges).forEach(field => { previous[field] = task[field]; });
+    await recordActivity(roomId, user, {
+      taskId: task.id,
+      action: 'update',
+      details: { columnId: column.id, changes: validChanges, previous }
+    });
+
+    return { columnId: column.id, task: updatedTask, revision };
+  });
+}
+
+/**
+ * Remove a task from a column (columnId defaults to the task's current column)
+ */
+function removeTask(roomId, user, { columnId, taskId, baseRevision } = {}) {
+  return runInQueue(roomId, async () => {
+    const board = await ensureBoard(roomId);
+    checkBaseRevision(roomId, baseRevision);
+
+    const column = columnId == null ? findTaskColumn(board, taskId) : findColumn(board, columnId);
+    const taskIndex = column.items.findIndex(item => item.id === String(taskId));
+    if (taskIndex === -1) {
+      throw new AppError('Task not found', 404);
+    }
+
+    // Remove the task
+    await deleteTask(roomId, taskId);
+    const [task] = column.items.splice(taskIndex, 1);
+    const revision = await commitRevision(roomId, { touchedTaskIds: [task.id] });
+
+    // Broadcast to all users in the room
+    broadcast(roomId, 'task-removed', { columnId: column.id, taskId: task.id, revision });
+
+    await recordActivity(roomId, user, {
+      taskId: task.id,
+      action: 'remove',
+      details: { columnId: column.id, title: task.title }
+    });
+
+    return { columnId: column.id, taskId: task.id, revision };
+  });
+}
+
+/**
+ * Add a column, at the end unless an index is given
+ */
+function addColumn(roomId, user, { name, index, baseRevision } = {}) {
+  return runInQueue(roomId, async () => {
+    const board = await ensureBoard(roomId);
+    checkBaseRevision(roomId, baseRevision);
+
+    const column = { id: `col_${uuidv4()}`, name: validateColumnName(name), items: [] };
+    const position = Number.isInteger(index) ? Math.min(Math.max(index, 0), board.length) : board.length;
+
+    const columns = [...board];
+    columns.splice(position, 0, column);
+    await saveColumns(roomId, columns);
+    board.splice(position, 0, column);
+    const revision = await commitRevision(roomId, { touchedColumnIds: [column.id] });
+
+    // Broadcast to all users in the room
+    broadcast(roomId, 'column-added', { column, index: position, revision });
+
+    return { column, index: position, revision };
+  });
+}
+
+/**
+ * Rename a column
+ */
+function renameColumn(roomId, user, { columnId, name, baseRevision } = {}) {
+  return runInQueue(roomId, async () => {
+    const board = await ensureBoard(roomId);
+    checkBaseRevision(roomId, baseRevision);
+
+    const column = findColumn(board, columnId);
+    const columnName = validateColumnName(name);
+
+    await saveColumns(roomId, board.map(col => col === column ? { ...col, name: columnName } : col));
+    column.name = columnName;
+    const revision = await commitRevision(roomId);
+
+    // Broadcast to all users in the room
+    broadcast(roomId, 'column-renamed', { columnId, name: columnName, revision });
+
+    return { columnId, name: columnName, revision };
+  });
+}
+
+/**
+ * Reorder a column, rebasing the index like moveTask when the client is behind
+ */
+function moveColumn(roomId, user, { columnId, newIndex, baseRevision } = {}) {
+  return runInQueue(roomId, async () => {
+    const board = await ensureBoard(roomId);
+    const base = getBaseSnapshot(roomId, baseRevision, { columnId });
+    const column = findColumn(board, columnId);
+
+    const baseOrder = (base ? base.columnOrder : board.map(col => col.id)).filter(id => id !== columnId);
+    if (!Number.isInteger(newIndex) || newIndex < 0 || newIndex > baseOrder.length) {
+      throw new AppError(`Column index must be between 0 and ${baseOrder.length}`, 400);
+    }
+
+    const columns = board.filter(col => col !== column);
+    const index = base ? rebaseIndex(baseOrder, columns.map(col => col.id), newIndex) : newIndex;
+    columns.splice(index, 0, column);
+    await saveColumns(roomId, columns);
+    board.splice(0, board.length, ...columns);
+    const revision = await commitRevision(roomId, { touchedColumnIds: [columnId] });
+
+    // Broadcast the applied index to all users in the room
+    broadcast(roomId, 'column-moved', { columnId, newIndex: index, revision });
+
+    return { columnId, newIndex: index, revision };
+  });
+}
+
+/**
+ * Remove a column - its tasks move to the end of targetColumnId, or the removal is rejected
+ */
+function removeColumn(roomId, user, { columnId, targetColumnId, baseRevision } = {}) {
+  return runInQueue(roomId, async () => {
+    const board = await ensureBoard(roomId);
+    checkBaseRevision(roomId, baseRevision);
+
+    const column = findColumn(board, columnId);
+    if (board.length === 1) {
+      throw new AppError('A task board must keep at least one column', 400);
+    }
+
+    let targetColumn = null;
+    if (column.items.length > 0) {
+      if (!targetColumnId) {
+        throw new AppError('Column still has tasks. Please provide a targetColumnId to move them to', 400);
+      }
+      if (targetColumnId === columnId) {
+        throw new AppError('Tasks cannot be moved to the column being removed', 400);
+      }
+      targetColumn = findColumn(board, targetColumnId);
+    }
+
+    // Move the tasks to the end of the target column before dropping the column
+    const movedTaskIds = column.items.map(task => task.id);
+    const firstMovedIndex = targetColumn ? targetColumn.items.length : 0;
+    if (targetColumn) {
+      const targetItems = [...targetColumn.items, ...column.items];
+      await saveColumnTasks(roomId, targetColumn.id, targetItems);
+      targetColumn.items = targetItems;
+    }
+    await deleteColumn(roomId, columnId);
+    board.splice(board.indexOf(column), 1);
+    const revision = await commitRevision(roomId, { touchedTaskIds: movedTaskIds, touchedColumnIds: [columnId] });
+
+    // Broadcast to all users in the room
+    const result = {
+      columnId,
+      targetColumnId: targetColumn ? targetColumn.id : null,
+      movedTaskIds,
+      revision
+    };
+    broadcast(roomId, 'column-removed', result);
+
+    // Moved tasks get a move entry in their history
+    for (const [offset, taskId] of movedTaskIds.entries()) {
+      await recordActivity(roomId, user, {
+        taskId,
+        action: 'move',
+        details: { fromColumnId: columnId, toColumnId: targetColumn.id, toIndex: firstMovedIndex + offset, reason: 'column-removed' }
+      });
+    }
+
+    return result;
+  });
+}
+
+/**
+ * Add a comment to a task and bump the task's comment count
+ */
+function addComment(roomId, user, { taskId, text } = {}) {
+  return runInQueue(roomId, async () => {
+    const board = await ensureBoard(roomId);
+    const found = findTask(board, taskId);
+    if (!found) throw new AppError('Task not found', 404);
+
+    const now = new Date().toISOString();
+    const row = {
+      id: uuidv4(),
+      room_id: roomId,
+      task_id: found.task.id,
+      user_id: user.id,
+      user_name: user.name,
+      text: validateCommentText(text),
+      created_at: now,
+      updated_at: now
+    };
+
+    const { error } = await supabaseAdmin
+      .from('task_comments')
+      .insert([row]);
+
+    if (error) throw new AppError(error.message, 500);
+
+    const { task, commentCount, revision } = await setCommentCount(roomId, found, found.task.commentCount + 1);
+    const comment = fromCommentRow(row);
+
+    // Broadcast to all users in the room
+    broadcast(roomId, 'task-comment-added', { taskId: task.id, comment, commentCount, revision });
+
+    await recordActivity(roomId, user, {
+      taskId: task.id,
+      action: 'comment',
+      details: { commentId: comment.id }
+    });
+
+    return { taskId: task.id, comment, commentCount, revision };
+  });
+}
+
+/**
+ * Change the text of a comment - only its author may edit it
+ */
+function editComment(roomId, user, { commentId, text } = {}) {
+  return runInQueue(roomId, async () => {
+    await ensureBoard(roomId);
+    const existing = await findComment(roomId, commentId);
+    if (existing.user.id !== user.id) {
+      throw new AppError('You can only edit your own comments', 403);
+    }
+
+    const changes = { text: validateCommentText(text), updated_at: new Date().toISOString() };
+    const { error } = await supabaseAdmin
+      .from('task_comments')
+      .update(changes)
+      .eq('room_id', roomId)
+      .eq('id', existing.id);
+
+    if (error) throw new AppError(error.message, 500);
+
+    const comment = { ...existing, text: changes.text, updatedAt: changes.updated_at };
+
+    // Broadcast to all users in the room
+    broadcast(roomId, 'task-comment-updated', { taskId: comment.taskId, comment });
+
+    return { taskId: comment.taskId, comment };
+  });
+}
+
+/**
+ * Delete a comment - only its author may delete it
+ */
+function deleteComment(roomId, user, { commentId } = {}) {
+  return runInQueue(roomId, async () => {
+    const board = await ensureBoard(roomId);
+    const comment = await findComment(roomId, commentId);
+    if (comment.user.id !== user.id) {
+      throw new AppError('You can only delete your own comments', 403);
+    }
+
+    const { error } = await supabaseAdmin
+      .from('task_comments')
+      .delete()
+      .eq('room_id', roomId)
+      .eq('id', comment.id);
+
+    if (error) throw new AppError(error.message, 500);
+
+    // The task may already be gone if the comment outlived it
+    const found = findTask(board, comment.taskId);
+    const { commentCount, revision } = found
+      ? await setCommentCount(roomId, found, Math.max(found.task.commentCount - 1, 0))
+      : { commentCount: 0, revision: getRevision(roomId) };
+
+    // Broadcast to all users in the room
+    broadcast(roomId, 'task-comment-removed', { taskId: comment.taskId, commentId: comment.id, commentCount, revision });
+
+    return { taskId: comment.taskId, commentId: comment.id, commentCount, revision };
+  });
+}
+
+/**
+ * Save a task's new comment count, keeping its fields and position.
+ * Must be called from inside runInQueue.
+ */
+async function setCommentCount(roomId, { column, task }, commentCount) {
+  const position = column.items.indexOf(task);
+  const updatedTask = { ...task, commentCount };
+
+  await saveTask(roomId, column.id, updatedTask, position);
+  column.items[position] = updatedTask;
+  const revision = await commitRevision(roomId);
+
+  return { task: updatedTask, commentCount, revision };
+}
+
+/**
+ * GET / - Task boards the user is a member of
+ */
+const getMyBoards = catchAsync(async (req, res, next) => {
+  const roomIds = await getMemberRoomIds(req.user.id);
+
+  const { data: boards, error } = await supabaseAdmin
+    .from('task_boards')
+    .select('*')
+    .in('room_id', roomIds)
+    .order('updated_at', { ascending: false });
+
+  if (error) {
+    return next(new AppError(error.message, 400));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    results: boards.length,
+    data: {
+      boards: boards.map(board => ({
+        roomId: board.room_id,
+        revision: board.revision || 0,
+        createdBy: board.created_by,
+        createdAt: board.created_at,
+        updatedAt: board.updated_at,
+        activeUsers: roomUsers.has(board.room_id) ? roomUsers.get(board.room_id).size : 0
+      }))
+    }
+  });
+});
+
+/**
+ * GET /:roomId - A board with its columns, tasks, revision and members
+ */
+const getBoard = catchAsync(async (req, res, next) => {
+  const { roomId } = req.params;
+
+  const { board, revision, members } = await withRestBoard(roomId, () => runInQueue(roomId, async () => ({
+    board: await ensureBoard(roomId),
+    revision: getRevision(roomId),
+    members: Array.from(boardMembers.get(roomId).values())
+  })));
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      roomId,
+      revision,
+      board,
+      members
+    }
+  });
+});
+
+/**
+ * POST /:roomId/tasks - Create a task
+ * Body: { columnId, task, baseRevision? }
+ */
+const createBoardTask = catchAsync(async (req, res, next) => {
+  const { roomId } = req.params;
+  const result = await withRestBoard(roomId, () => addTask(roomId, getUserIdentity(req.user), req.body));
+
+  res.status(201).json({
+    status: 'success',
+    data: result
+  });
+});
+
+/**
+ * PATCH /:roomId/tasks/:taskId - Update a task's fields
+ * Body: { ...fields, baseRevision? }
+ */
+const updateBoardTask = catchAsync(async (req, res, next) => {
+  const { roomId, taskId } = req.params;
+  const { baseRevision, ...changes } = req.body;
+  const result = await withRestBoard(roomId, () => updateTask(roomId, getUserIdentity(req.user), { taskId, changes, baseRevision }));
+
+  res.status(200).json({
+    status: 'success',
+    data: result
+  });
+});
+
+/**
+ * POST /:roomId/tasks/:taskId/move - Move a task
+ * Body: { toColumnId, newIndex, fromColumnId?, baseRevision? }
+ */
+const moveBoardTask = catchAsync(async (req, res, next) => {
+  const { roomId, taskId } = req.params;
+  const result = await withRestBoard(roomId, () => moveTask(roomId, getUserIdentity(req.user), { ...req.body, taskId }));
+
+  res.status(200).json({
+    status: 'success',
+    data: result
+  });
+});
+
+/**
+ * DELETE /:roomId/tasks/:taskId - Delete a task
+ * Query: { baseRevision? }
+ */
+const deleteBoardTask = catchAsync(async (req, res, next) => {
+  const { roomId, taskId } = req.params;
+  const baseRevision = req.query.baseRevision === undefined ? undefined : Number(req.query.baseRevision);
+  await withRestBoard(roomId, () => removeTask(roomId, getUserIdentity(req.user), { taskId, baseRevision }));
+
+  res.status(204).json({
+    status: 'success',
+    data: null
+  });
+});
+
+/**
+ * GET /tasks - Tasks across the user's boards
+ * GET /:roomId/tasks - Tasks of one board
+ * Query: { assigneeId?, label?, priority?, columnId?, dueBefore?, dueAfter? }
+ */
+const queryTasks = catchAsync(async (req, res, next) => {
+  const { roomId } = req.params;
+  const { assigneeId, label, priority, columnId, dueBefore, dueAfter } = req.query;
+
+  let query = supabaseAdmin
+    .from('task_board_tasks')
+    .select('*');
+
+  query = roomId ? query.eq('room_id', roomId) : query.in('room_id', await getMemberRoomIds(req.user.id));
+  if (assigneeId) query = query.contains('assignee_ids', [assigneeId === 'me' ? req.user.id : assigneeId]);
+  if (label) query = query.contains('labels', [label]);
+  if (priority) query = query.eq('priority', priority);
+  if (columnId) query = query.eq('column_id', columnId);
+
+  for (const [name, value] of [['dueBefore', dueBefore], ['dueAfter', dueAfter]]) {
+    if (value !== undefined && Number.isNaN(Date.parse(value))) {
+      return next(new AppError(`${name} must be an ISO 8601 date`, 400));
+    }
+  }
+  if (dueBefore) query = query.lte('due_date', new Date(dueBefore).toISOString());
+  if (dueAfter) query = query.gte('due_date', new Date(dueAfter).toISOString());
+
+  const { data: rows, error } = await query
+    .order('room_id', { ascending: true })
+    .order('column_id', { ascending: true })
+    .order('position', { ascending: true });
+
+  if (error) {
+    return next(new AppError(error.message, 400));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    results: rows.length,
+    data: {
+      tasks: rows.map(row => ({
+        roomId: row.room_id,
+        columnId: row.column_id,
+        position: row.position,
+        ...fromTaskRow(row)
+      }))
+    }
+  });
+});
+
+/**
+ * Middleware - only members of a board may use its REST endpoints
+ */
+const requireBoardMember = catchAsync(async (req, res, next) => {
+  if (!(await isBoardMember(req.params.roomId, req.user.id))) {
+    return next(new AppError('You are not a member of this task board', 403));
+  }
+  next();
+});
+
+/**
+ * GET /:roomId/activity - Activity log of a board, newest first
+ * GET /:roomId/tasks/:taskId/activity - History of a single task, newest first
+ * Query: { taskId?, limit?, before? }
+ */
+const getActivity = catchAsync(async (req, res, next) => {
+  const { roomId } = req.params;
+  const { limit, before } = req.query;
+  const taskId = req.params.taskId || req.query.taskId;
+
+  const entries = await fetchActivity(roomId, { taskId, limit, before });
+
+  res.status(200).json({
+    status: 'success',
+    results: entries.length,
+    data: {
+      entries
+    }
+  });
+});
+
+/**
+ * GET /:roomId/export - Download a board as JSON (full fidelity) or CSV (one row per task)
+ * Query: { format? ('json' | 'csv', default 'json') }
+ */
+const exportBoard = catchAsync(async (req, res, next) => {
+  const { roomId } = req.params;
+  const format = String(req.query.format || 'json').toLowerCase();
+
+  if (!EXPORT_FORMATS.includes(format)) {
+    return next(new AppError(`format must be one of: ${EXPORT_FORMATS.join(', ')}`, 400));
+  }
+
+  const { board, revision } = await withRestBoard(roomId, () => runInQueue(roomId, async () => ({
+    board: await ensureBoard(roomId),
+    revision: getRevision(roomId)
+  })));
+
+  const fileName = `taskboard-${roomId}`.replace(/[^\w.-]/g, '_');
+  res.set('Content-Disposition', `attachment; filename="${fileName}.${format}"`);
+
+  if (format === 'csv') {
+    return res.status(200).type('text/csv').send(toCsv(CSV_HEADERS, toCsvRows(board)));
+  }
+
+  res.status(200).json({
+    version: EXPORT_VERSION,
+    roomId,
+    revision,
+    exportedAt: new Date().toISOString(),
+    columns: board.map(column => ({ id: column.id, name: column.name, tasks: column.items }))
+  });
+});
+
+/**
+ * POST /:roomId/import - Create or replace a board from a JSON or CSV export
+ * Query: { format? ('json' | 'csv', default from Content-Type), mode? ('create' | 'replace', default 'create'), dryRun? }
+ * Body: a JSON export ({ columns: [{ id?, name, tasks }] }) or CSV text
+ *
+ * 'create' only works on rooms without a board and makes the importer its first member,
+ * 'replace' is restricted to members and swaps the columns and tasks of an existing board.
+ */
+const importBoard = catchAsync(async (req, res, next) => {
+  const { roomId } = req.params;
+  const format = String(req.query.format || (req.is('text/csv') ? 'csv' : 'json')).toLowerCase();
+  const mode = String(req.query.mode || 'create').toLowerCase();
+  const dryRun = req.query.dryRun === 'true';
+  const user = getUserIdentity(req.user);
+
+  if (!EXPORT_FORMATS.includes(format)) {
+    return next(new AppError(`format must be one of: ${EXPORT_FORMATS.join(', ')}`, 400));
+  }
+  if (!IMPORT_MODES.includes(mode)) {
+    return next(new AppError(`mode must be one of: ${IMPORT_MODES.join(', ')}`, 400));
+  }
+  if (mode === 'replace' && !(await isBoardMember(roomId, user.id))) {
+    return next(new AppError('You are not a member of this task board', 403));
+  }
+
+  const columns = format === 'csv' ? fromCsvImport(req.body) : fromJsonImport(req.body);
+
+  const result = await withRestBoard(roomId, () => runInQueue(roomId, async () => {
+    const exists = taskBoards.has(roomId) || (await boardExists(roomId));
+    if (mode === 'create' && exists) {
+      throw new AppError('This room already has a task board. Use mode=replace to overwrite it', 409);
+    }
+    if (mode === 'replace' && !exists) {
+      throw new AppError('Task board not found', 404);
+    }
+
+    // Assignees are checked against the board's members; a new board only has the importer
+    let members = new Map([[user.id, { userId: user.id, userName: user.name }]]);
+    if (mode === 'replace') {
+      await ensureBoard(roomId);
+      members = boardMembers.get(roomId);
+    }
+
+    const { board, errors, warnings } = buildImportedBoard(columns, { members, importedBy: user.id });
+    if (errors.length > 0) return { errors };
+
+    const summary = {
+      mode,
+      dryRun,
+      columns: board.length,
+      tasks: board.reduce((sum, column) => sum + column.items.length, 0),
+      warnings
+    };
+    if (dryRun) return { summary };
+
+    let revision = 0;
+    if (mode === 'create') {
+      await ensureBoard(roomId, { initialBoard: board, createdBy: user.id });
+      await addMember(roomId, { userId: user.id, userName: user.name });
+    } else {
+      // Every item of the old and new board counts as touched, so stale moves are resynced
+      const previous = snapshotBoard(taskBoards.get(roomId));
+      await replaceBoard(roomId, board);
+      const current = snapshotBoard(board);
+      revision = await commitRevision(roomId, {
+        touchedTaskIds: Object.values(previous.taskOrder).concat(Object.values(current.taskOrder)).flat(),
+        touchedColumnIds: previous.columnOrder.concat(current.columnOrder)
+      });
+    }
+
+    broadcast(roomId, 'board-updated', taskBoards.get(roomId), { revision });
+    await recordActivity(roomId, user, {
+      taskId: null,
+      action: 'import',
+      details: { mode, format, columns: summary.columns, tasks: summary.tasks }
+    });
+
+    return { summary: { ...summary, revision } };
+  }));
+
+  if (result.errors) {
+    return res.status(400).json({
+      status: 'fail',
+      message: 'Import validation failed',
+      errors: result.errors
+    });
+  }
+
+  res.status(dryRun || mode === 'replace' ? 200 : 201).json({
+    status: 'success',
+    data: result.summary
+  });
+});
+
+/**
+ * Run a REST operation on a board, then drop the board from the cache
+ * if nobody has it open over Socket.IO
+ */
+async function withRestBoard(roomId, operation) {
+  try {
+    return await operation();
+  } finally {
+    await evictIdleBoard(roomId);
+  }
+}
+
+/**
+ * Drop a board from the cache once the room's queued operations are done,
+ * unless someone has it open over Socket.IO by then - the board stays in the database
+ */
+function evictIdleBoard(roomId) {
+  return runInQueue(roomId, () => {
+    if (!roomUsers.has(roomId)) {
+      taskBoards.delete(roomId);
+      boardMembers.delete(roomId);
+      boardRevisions.delete(roomId);
+    }
+  });
+}
+
+/**
+ * Report a failed event to the socket that sent it.
+ * Validation errors are passed through, anything else gets a generic message.
+ */
+function emitTaskboardError(socket, event, error, fallbackMessage) {
+  const isClientError = error.isOperational && error.statusCode < 500;
+  if (!isClientError) {
+    console.error(`❌ Error handling ${event}:`, error);
+  }
+
+  socket.emit('taskboard-error', {
+    event,
+    message: isClientError ? error.message : fallbackMessage
+  });
+}
+
+/**
+ * Run an operation after every earlier operation on the same room has finished,
+ * so reads, database writes and broadcasts are applied in a single order
+ */
+function runInQueue(roomId, operation) {
+  const previous = boardQueues.get(roomId) || Promise.resolve();
+  const result = previous.then(operation);
+  const tail = result.catch(() => {});
+
+  boardQueues.set(roomId, tail);
+  tail.then(() => {
+    if (boardQueues.get(roomId) === tail) boardQueues.delete(roomId);
+  });
+
+  return result;
+}
+
+/**
+ * Get a room's board from the cache, loading or creating it in the database.
+ * Must be called from inside runInQueue.
+ */
+async function ensureBoard(roomId, { seed, initialBoard, createdBy } = {}) {
+  if (taskBoards.has(roomId)) return taskBoards.get(roomId);
+
+  const { board, revision } = (await loadBoard(roomId)) ||
+    (await createBoard(roomId, initialBoard || buildSeedBoard(seed, createdBy) || getDefaultBoard(), createdBy));
+  boardMembers.set(roomId, await loadMembers(roomId));
+  boardRevisions.set(roomId, {
+    revision,
+    history: [{ revision, ...snapshotBoard(board), touchedTaskIds: [], touchedColumnIds: [] }]
+  });
+  taskBoards.set(roomId, board);
+  return board;
+}
+
+/**
+ * Get the current revision of a cached board
+ */
+function getRevision(roomId) {
+  const state = boardRevisions.get(roomId);
+  return state ? state.revision : 0;
+}
+
+/**
+ * Bump a board's revision after a change and remember its order for rebasing.
+ * touchedTaskIds/touchedColumnIds are the items whose position the change affected.
+ */
+async function commitRevision(roomId, { touchedTaskIds = [], touchedColumnIds = [] } = {}) {
+  const state = boardRevisions.get(roomId);
+  const revision = state.revision + 1;
+
+  // The change itself is already saved, so a failed revision write is only reported
+  const { error } = await supabaseAdmin
+    .from('task_boards')
+    .update({ revision, updated_at: new Date().toISOString() })
+    .eq('room_id', roomId);
+
+  if (error) {
+    console.error('❌ Error saving task board revision:', error);
+  }
+
+  state.revision = revision;
+  state.history.push({ revision, ...snapshotBoard(taskBoards.get(roomId)), touchedTaskIds, touchedColumnIds });
+  if (state.history.length > MAX_REVISION_HISTORY) {
+    state.history.splice(0, state.history.length - MAX_REVISION_HISTORY);
+  }
+
+  return revision;
+}
+
+/**
+ * Check an operation's base revision is one the server has issued
+ */
+function checkBaseRevision(roomId, baseRevision) {
+  if (baseRevision == null) return;
+
+  if (!Number.isInteger(baseRevision) || baseRevision < 0) {
+    throw new AppError('baseRevision must be a non-negative integer', 400);
+  }
+  if (baseRevision > getRevision(roomId)) {
+    throw staleRevisionError();
+  }
+}
+
+/**
+ * Get the board snapshot a positional operation was based on, or null if it is based on
+ * the current revision. Fails with a resync if the item being moved has changed since.
+ */
+function getBaseSnapshot(roomId, baseRevision, { taskId, columnId }) {
+  checkBaseRevision(roomId, baseRevision);
+  if (baseRevision == null || baseRevision === getRevision(roomId)) return null;
+
+  const { history } = boardRevisions.get(roomId);
+  const base = history.find(entry => entry.revision === baseRevision);
+  if (!base) throw staleRevisionError();
+
+  const conflict = history.some(entry => entry.revision > baseRevision && (
+    (taskId != null && entry.touchedTaskIds.includes(String(taskId))) ||
+    (columnId != null && entry.touchedColumnIds.includes(columnId))
+  ));
+  if (conflict) throw staleRevisionError();
+
+  return base;
+}
+
+/**
+ * Map an index in an older order onto the current order, keeping the item next to the
+ * neighbour it was dropped beside
+ */
+function rebaseIndex(baseOrder, currentOrder, index) {
+  const before = baseOrder[index - 1];
+  const after = baseOrder[index];
+
+  if (before !== undefined && currentOrder.includes(before)) return currentOrder.indexOf(before) + 1;
+  if (after !== undefined && currentOrder.includes(after)) return currentOrder.indexOf(after);
+  return Math.min(index, currentOrder.length);
+}
+
+/**
+ * Capture the column order and task order of a board
+ */
+function snapshotBoard(board) {
+  const taskOrder = {};
+  board.forEach(column => { taskOrder[column.id] = column.items.map(task => task.id); });
+  return { taskOrder, columnOrder: board.map(column => column.id) };
+}
+
+/**
+ * Error for operations based on a revision the server can no longer rebase
+ */
+function staleRevisionError() {
+  const error = new AppError('The task board has changed. Please resync and try again', 409);
+  error.resync = true;
+  return error;
+}
+
+/**
+ * Broadcast a board change to every socket in the room
+ */
+function broadcast(roomId, event, ...payload) {
+  if (ioInstance) {
+    ioInstance.to(roomId).emit(event, ...payload);
+  }
+}
+
+/**
+ * Load the users who have joined a board
+ */
+async function loadMembers(roomId) {
+  const { data: members, error } = await supabaseAdmin
+    .from('task_board_members')
+    .select('user_id, user_name')
+    .eq('room_id', roomId);
+
+  if (error) throw new AppError(error.message, 500);
+
+  return new Map(members.map(member => [member.user_id, { userId: member.user_id, userName: member.user_name }]));
+}
+
+/**
+ * Record a user as a member of a board so tasks can be assigned to them
+ */
+async function addMember(roomId, { userId, userName }) {
+  const members = boardMembers.get(roomId);
+  const existing = members.get(userId);
+  if (existing && existing.userName === userName) return;
+
+  const { error } = await supabaseAdmin
+    .from('task_board_members')
+    .upsert([{
+      room_id: roomId,
+      user_id: userId,
+      user_name: userName,
+      joined_at: new Date().toISOString()
+    }], { onConflict: 'room_id,user_id' });
+
+  if (error) throw new AppError(error.message, 500);
+
+  members.set(userId, { userId, userName });
+}
+
+/**
+ * Load a saved board and its revision, or null if the room has none yet
+ */
+async function loadBoard(roomId) {
+  const { data: boardRow, error } = await supabaseAdmin
+    .from('task_boards')
+    .select('room_id, revision')
+    .eq('room_id', roomId)
+    .maybeSingle();
+
+  if (error) throw new AppError(error.message, 500);
+  if (!boardRow) return null;
+
+  const { data: columns, error: columnsError } = await supabaseAdmin
+    .from('task_board_columns')
+    .select('*')
+    .eq('room_id', roomId)
+    .order('position', { ascending: true });
+
+  if (columnsError) throw new AppError(columnsError.message, 500);
+
+  const { data: tasks, error: tasksError } = await supabaseAdmin
+    .from('task_board_tasks')
+    .select('*')
+    .eq('room_id', roomId)
+    .order('position', { ascending: true });
+
+  if (tasksError) throw new AppError(tasksError.message, 500);
+
+  const board = columns.map(column => ({
+    id: column.id,
+    name: column.name,
+    items: tasks.filter(task => task.column_id === column.id).map(fromTaskRow)
+  }));
+
+  return { board, revision: boardRow.revision || 0 };
+}
+
+/**
+ * Save a brand-new board (a valid client seed, an import or the default columns)
+ */
+async function createBoard(roomId, board, createdBy) {
+  await saveColumns(roomId, board);
+  for (const column of board) {
+    await saveColumnTasks(roomId, column.id, column.items);
+  }
+
+  // The board row is written last so a half-created board is never loaded
+  const now = new Date().toISOString();
+  const { error } = await supabaseAdmin
+    .from('task_boards')
+    .insert([{
+      room_id: roomId,
+      revision: 0,
+      created_by: createdBy || null,
+      created_at: now,
+      updated_at: now
+    }]);
+
+  if (error) throw new AppError(error.message, 500);
+
+  return { board, revision: 0 };
+}
+
+/**
+ * Check whether a room has a saved board
+ */
+async function boardExists(roomId) {
+  const { data: boardRow, error } = await supabaseAdmin
+    .from('task_boards')
+    .select('room_id')
+    .eq('room_id', roomId)
+    .maybeSingle();
+
+  if (error) throw new AppError(error.message, 500);
+
+  return !!boardRow;
+}
+
+/**
+ * Swap every column and task of a cached board for an imported one,
+ * dropping the comments of the old tasks
+ */
+async function replaceBoard(roomId, board) {
+  for (const table of ['task_comments', 'task_board_tasks', 'task_board_columns']) {
+    const { error } = await supabaseAdmin
+      .from(table)
+      .delete()
+      .eq('room_id', roomId);
+
+    if (error) throw new AppError(error.message, 500);
+  }
+
+  await saveColumns(roomId, board);
+  for (const column of board) {
+    await saveColumnTasks(roomId, column.id, column.items);
+  }
+
+  taskBoards.get(roomId).splice(0, Infinity, ...board);
+}
+
+/**
+ * Record who did what to a task and stream the entry to the board room.
+ * A failed log write is reported but never undoes the operation it describes.
+ */
+async function recordActivity(roomId, user, { taskId, action, details }) {
+  const entry = {
+    id: uuidv4(),
+    room_id: roomId,
+    task_id: taskId,
+    action,
+    user_id: user.id,
+    user_name: user.name,
+    details,
+    created_at: new Date().toISOString()
+  };
+
+  const { error } = await supabaseAdmin
+    .from('task_board_activity')
+    .insert([entry]);
+
+  if (error) {
+    console.error('❌ Error saving task activity:', error);
+    return;
+  }
+
+  broadcast(roomId, 'task-activity', fromActivityRow(entry));
+}
+
+/**
+ * Fetch activity entries for a board, optionally for one task, newest first
+ */
+async function fetchActivity(roomId, { taskId, limit, before } = {}) {
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || ACTIVITY_PAGE_SIZE, 1), MAX_ACTIVITY_PAGE_SIZE);
+
+  let query = supabaseAdmin
+    .from('task_board_activity')
+    .select('*')
+    .eq('room_id', roomId);
+
+  if (taskId) query = query.eq('task_id', String(taskId));
+  if (before) {
+    if (Number.isNaN(Date.parse(before))) throw new AppError('before must be an ISO 8601 date', 400);
+    query = query.lt('created_at', new Date(before).toISOString());
+  }
+
+  const { data: entries, error } = await query
+    .order('created_at', { ascending: false })
+    .limit(pageSize);
+
+  if (error) throw new AppError(error.message, 500);
+
+  return entries.map(fromActivityRow);
+}
+
+/**
+ * Fetch the comments of a task, oldest first. `before` pages back through older comments.
+ */
+async function fetchComments(roomId, { taskId, limit, before } = {}) {
+  if (taskId == null) throw new AppError('Please provide a taskId', 400);
+
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || COMMENT_PAGE_SIZE, 1), MAX_COMMENT_PAGE_SIZE);
+
+  let query = supabaseAdmin
+    .from('task_comments')
+    .select('*')
+    .eq('room_id', roomId)
+    .eq('task_id', String(taskId));
+
+  if (before) {
+    if (Number.isNaN(Date.parse(before))) throw new AppError('before must be an ISO 8601 date', 400);
+    query = query.lt('created_at', new Date(before).toISOString());
+  }
+
+  // Take the newest page, then return it in reading order
+  const { data: comments, error } = await query
+    .order('created_at', { ascending: false })
+    .limit(pageSize);
+
+  if (error) throw new AppError(error.message, 500);
+
+  return comments.reverse().map(fromCommentRow);
+}
+
+/**
+ * Load a comment of a board or fail with a 404
+ */
+async function findComment(roomId, commentId) {
+  if (typeof commentId !== 'string' || commentId.length === 0) {
+    throw new AppError('Please provide a commentId', 400);
+  }
+
+  const { data: comment, error } = await supabaseAdmin
+    .from('task_comments')
+    .select('*')
+    .eq('room_id', roomId)
+    .eq('id', commentId)
+    .maybeSingle();
+
+  if (error) throw new AppError(error.message, 500);
+  if (!comment) throw new AppError('Comment not found', 404);
+
+  return fromCommentRow(comment);
+}
+
+/**
+ * Convert a comment row to the shape sent to clients
+ */
+function fromCommentRow(row) {
+  return {
+    id: row.id,
+    taskId: row.task_id,
+    user: { id: row.user_id, name: row.user_name },
+    text: row.text,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * Validate the text of a comment
+ */
+function validateCommentText(text) {
+  if (typeof text !== 'string' || text.trim().length === 0) {
+    throw new AppError('Please provide the comment text', 400);
+  }
+  if (text.trim().length > MAX_COMMENT_LENGTH) {
+    throw new AppError(`Comments must be at most ${MAX_COMMENT_LENGTH} characters`, 400);
+  }
+  return text.trim();
+}
+
+/**
+ * Convert an activity row to the shape sent to clients
+ */
+function fromActivityRow(row) {
+  return {
+    id: row.id,
+    roomId: row.room_id,
+    taskId: row.task_id,
+    action: row.action,
+    user: { id: row.user_id, name: row.user_name },
+    details: row.details,
+    createdAt: row.created_at
+  };
+}
+
+/**
+ * Get the rooms of every board a user has joined
+ */
+async function getMemberRoomIds(userId) {
+  const { data: memberships, error } = await supabaseAdmin
+    .from('task_board_members')
+    .select('room_id')
+    .eq('user_id', userId);
+
+  if (error) throw new AppError(error.message, 500);
+
+  return memberships.map(membership => membership.room_id);
+}
+
+/**
+ * Check whether a user has joined a board
+ */
+async function isBoardMember(roomId, userId) {
+  const { data: member, error } = await supabaseAdmin
+    .from('task_board_members')
+    .select('user_id')
+    .eq('room_id', roomId)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) throw new AppError(error.message, 500);
+
+  return !!member;
+}
+
+/**
+ * Save the columns of a board with their current names and positions
+ */
+async function saveColumns(roomId, columns) {
+  const { error } = await supabaseAdmin
+    .from('task_board_columns')
+    .upsert(columns.map((column, position) => ({
+      room_id: roomId,
+      id: column.id,
+      name: column.name,
+      position
+    })), { onConflict: 'room_id,id' });
+
+  if (error) throw new AppError(error.message, 500);
+}
+
+/**
+ * Delete an (already emptied) column from the database
+ */
+async function deleteColumn(roomId, columnId) {
+  const { error } = await supabaseAdmin
+    .from('task_board_columns')
+    .delete()
+    .eq('room_id', roomId)
+    .eq('id', columnId);
+
+  if (error) throw new AppError(error.message, 500);
+}
+
+/**
+ * Save the tasks of a column with their current positions
+ */
+async function saveColumnTasks(roomId, columnId, items) {
+  if (items.length === 0) return;
+
+  const { error } = await supabaseAdmin
+    .from('task_board_tasks')
+    .upsert(items.map((task, position) => toTaskRow(roomId, columnId, task, position)), { onConflict: 'room_id,id' });
+
+  if (error) throw new AppError(error.message, 500);
+}
+
+/**
+ * Save a single task at its position
+ */
+async function saveTask(roomId, columnId, task, position) {
+  const { error } = await supabaseAdmin
+    .from('task_board_tasks')
+    .upsert([toTaskRow(roomId, columnId, task, position)], { onConflict: 'room_id,id' });
+
+  if (error) throw new AppError(error.message, 500);
+}
+
+/**
+ * Delete a task and its comments from the database
+ */
+async function deleteTask(roomId, taskId) {
+  const { error } = await supabaseAdmin
+    .from('task_board_tasks')
+    .delete()
+    .eq('room_id', roomId)
+    .eq('id', String(taskId));
+
+  if (error) throw new AppError(error.message, 500);
+
+  const { error: commentsError } = await supabaseAdmin
+    .from('task_comments')
+    .delete()
+    .eq('room_id', roomId)
+    .eq('task_id', String(taskId));
+
+  if (commentsError) {
+    console.error('❌ Error deleting task comments:', commentsError);
+  }
+}
+
+/**
+ * Convert a task to its database row
+ */
+function toTaskRow(roomId, columnId, task, position) {
+  return {
+    room_id: roomId,
+    id: task.id,
+    column_id: columnId,
+    position,
+    title: task.title,
+    description: task.description,
+    assignee_ids: task.assigneeIds,
+    due_date: task.dueDate,
+    priority: task.priority,
+    labels: task.labels,
+    comment_count: task.commentCount || 0,
+    created_by: task.createdBy,
+    created_at: task.createdAt,
+    updated_at: task.updatedAt
+  };
+}
+
+/**
+ * Convert a database row back to a task
+ */
+function fromTaskRow(row) {
+  return {
+    id: row.id,
+    title: row.title,
+    description: row.description || '',
+    assigneeIds: row.assignee_ids || [],
+    dueDate: row.due_date,
+    priority: row.priority,
+    labels: row.labels || [],
+    commentCount: row.comment_count || 0,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * Build a new task from a client payload, filling in defaults and server-managed fields
+ */
+function createTask(input, { createdBy, members }) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new AppError('Please provide a task', 400);
+  }
+
+  const { id, ...fields } = input;
+  SERVER_TASK_FIELDS.forEach(field => delete fields[field]);
+
+  if (fields.title === undefined) {
+    throw new AppError('Task title is required', 400);
+  }
+
+  const now = new Date().toISOString();
+  return {
+    id: validateTaskId(id),
+    title: '',
+    description: '',
+    assigneeIds: [],
+    dueDate: null,
+    priority: 'medium',
+    labels: [],
+    ...validateTaskFields(fields, members),
+    commentCount: 0,
+    createdBy,
+    createdAt: now,
+    updatedAt: now
+  };
+}
+
+/**
+ * Validate the fields an update-task event may change
+ */
+function validateTaskChanges(changes, members) {
+  if (!changes || typeof changes !== 'object' || Array.isArray(changes) || Object.keys(changes).length === 0) {
+    throw new AppError('Please provide the task fields to update', 400);
+  }
+
+  return validateTaskFields(changes, members);
+}
+
+/**
+ * Validate and normalise client-settable task fields against the task schema
+ */
+function validateTaskFields(fields, members) {
+  const invalidFields = Object.keys(fields).filter(field => !UPDATABLE_TASK_FIELDS.includes(field));
+  if (invalidFields.length > 0) {
+    throw new AppError(`Unknown task fields: ${invalidFields.join(', ')}`, 400);
+  }
+
+  const task = {};
+  for (const [field, value] of Object.entries(fields)) {
+    switch (field) {
+      case 'title':
+        if (typeof value !== 'string' || value.trim().length === 0) {
+          throw new AppError('Task title must be a non-empty string', 400);
+        }
+        if (value.trim().length > TASK_LIMITS.title) {
+          throw new AppError(`Task title must be at most ${TASK_LIMITS.title} characters`, 400);
+        }
+        task.title = value.trim();
+        break;
+
+      case 'description':
+        if (typeof value !== 'string') {
+          throw new AppError('Task description must be a string', 400);
+        }
+        if (value.length > TASK_LIMITS.description) {
+          throw new AppError(`Task description must be at most ${TASK_LIMITS.description} characters`, 400);
+        }
+        task.description = value;
+        break;
+
+      case 'assigneeIds': {
+        const assigneeIds = validateStringList(value, 'assigneeIds', TASK_LIMITS.assignees);
+        const unknownAssignees = assigneeIds.filter(userId => !members || !members.has(userId));
+        if (unknownAssignees.length > 0) {
+          throw new AppError(`Assignees must be members of this board: ${unknownAssignees.join(', ')}`, 400);
+        }
+        task.assigneeIds = assigneeIds;
+        break;
+      }
+
+      case 'dueDate':
+        if (value === null) {
+          task.dueDate = null;
+        } else if (typeof value !== 'string' || Number.isNaN(Date.parse(value))) {
+          throw new AppError('Task dueDate must be an ISO 8601 date or null', 400);
+        } else {
+          task.dueDate = new Date(value).toISOString();
+        }
+        break;
+
+      case 'priority':
+        if (!TASK_PRIORITIES.includes(value)) {
+          throw new AppError(`Task priority must be one of: ${TASK_PRIORITIES.join(', ')}`, 400);
+        }
+        task.priority = value;
+        break;
+
+      case 'labels': {
+        const labels = validateStringList(value, 'labels', TASK_LIMITS.labels).map(label => label.trim());
+        if (labels.some(label => label.length === 0 || label.length > TASK_LIMITS.label)) {
+          throw new AppError(`Task labels must be between 1 and ${TASK_LIMITS.label} characters`, 400);
+        }
+        task.labels = Array.from(new Set(labels));
+        break;
+      }
+    }
+  }
+
+  return task;
+}
+
+/**
+ * Validate a list of strings, dropping duplicates
+ */
+function validateStringList(value, field, maxLength) {
+  if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) {
+    throw new AppError(`Task ${field} must be an array of strings`, 400);
+  }
+  if (value.length > maxLength) {
+    throw new AppError(`Task ${field} can have at most ${maxLength} entries`, 400);
+  }
+  return Array.from(new Set(value));
+}
+
+/**
+ * Validate a client-supplied task id, or generate one
+ */
+function validateTaskId(id) {
+  if (id == null) return uuidv4();
+
+  if ((typeof id !== 'string' && typeof id !== 'number') || String(id).length === 0 || String(id).length > TASK_LIMITS.id) {
+    throw new AppError(`Task id must be a string of at most ${TASK_LIMITS.id} characters`, 400);
+  }
+  return String(id);
+}
+
+/**
+ * Validate a column name
+ */
+function validateColumnName(name) {
+  if (typeof name !== 'string' || name.trim().length === 0) {
+    throw new AppError('Please provide a column name', 400);
+  }
+  if (name.trim().length > MAX_COLUMN_NAME_LENGTH) {
+    throw new AppError(`Column name must be at most ${MAX_COLUMN_NAME_LENGTH} characters`, 400);
+  }
+  return name.trim();
+}
+
+/**
+ * Build a brand-new board from a client-supplied seed, or null if the seed is invalid
+ */
+function buildSeedBoard(seed, createdBy) {
+  if (!Array.isArray(seed) || seed.length === 0) return null;
+
+  try {
+    const members = new Map([[createdBy, { userId: createdBy }]]);
+    const taskIds = new Set();
+    const columnIds = new Set();
+
+    return seed.map(column => {
+      if (!column || typeof column.id !== 'string' || columnIds.has(column.id) || !Array.isArray(column.items)) {
+        throw new AppError('Invalid column', 400);
+      }
+      columnIds.add(column.id);
+
+      const items = column.items.map(task => {
+        const newTask = createTask(task, { createdBy, members });
+        if (taskIds.has(newTask.id)) throw new AppError('Duplicate task id', 400);
+        taskIds.add(newTask.id);
+        return newTask;
+      });
+
+      return { id: column.id, name: validateColumnName(column.name), items };
+    });
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Read the columns of a JSON export: { columns: [{ id?, name, tasks: [...] }] }
+ */
+function fromJsonImport(body) {
+  if (!body || typeof body !== 'object' || !Array.isArray(body.columns)) {
+    throw new AppError('Please provide a board export with a columns array', 400);
+  }
+  if (body.version !== undefined && body.version !== EXPORT_VERSION) {
+    throw new AppError(`Unsupported export version: ${body.version}`, 400);
+  }
+  return body.columns;
+}
+
+/**
+ * Read the columns of a CSV export, grouping rows by column in order of appearance
+ */
+function fromCsvImport(text) {
+  if (typeof text !== 'string' || text.trim().length === 0) {
+    throw new AppError('Please provide the CSV as a text/csv request body', 400);
+  }
+
+  let csv;
+  try {
+    csv = parseCsv(text);
+  } catch (error) {
+    throw new AppError(`Invalid CSV: ${error.message}`, 400);
+  }
+
+  if (!csv.headers.includes('title') || !(csv.headers.includes('columnName') || csv.headers.includes('columnId'))) {
+    throw new AppError('CSV must have a title header and a columnName or columnId header', 400);
+  }
+
+  const columns = new Map();
+  csv.rows.forEach((row, index) => {
+    const columnKey = row.columnId || row.columnName;
+    if (!columnKey) {
+      throw new AppError(`Row ${index + 2}: columnName or columnId is required`, 400);
+    }
+    if (!columns.has(columnKey)) {
+      columns.set(columnKey, { id: row.columnId || undefined, name: row.columnName || row.columnId, rows: [] });
+    }
+    columns.get(columnKey).rows.push({ row, position: row.position === '' ? index : Number(row.position) });
+  });
+
+  return Array.from(columns.values()).map(({ id, name, rows }) => ({
+    id,
+    name,
+    tasks: rows
+      .sort((a, b) => (Number.isFinite(a.position) ? a.position : 0) - (Number.isFinite(b.position) ? b.position : 0))
+      .map(({ row }) => fromCsvRow(row))
+  }));
+}
+
+/**
+ * Convert a CSV row to an import task, leaving out empty cells so defaults apply
+ */
+function fromCsvRow(row) {
+  const task = {};
+  for (const field of ['id', 'title', 'description', 'priority', 'dueDate', 'createdBy', 'createdAt', 'updatedAt']) {
+    if (row[field]) task[field] = row[field];
+  }
+  for (const field of ['assigneeIds', 'labels']) {
+    if (row[field]) task[field] = row[field].split(CSV_LIST_SEPARATOR).map(item => item.trim()).filter(Boolean);
+  }
+  if (task.title === undefined) task.title = row.title;
+  return task;
+}
+
+/**
+ * Convert a board to CSV rows, one per task
+ */
+function toCsvRows(board) {
+  return board.flatMap(column => column.items.map((task, position) => ({
+    columnId: column.id,
+    columnName: column.name,
+    position,
+    ...task,
+    assigneeIds: task.assigneeIds.join(CSV_LIST_SEPARATOR),
+    labels: task.labels.join(CSV_LIST_SEPARATOR)
+  })));
+}
+
+/**
+ * Validate imported columns against the board and task schema.
+ * Collects every problem instead of stopping at the first one; assignees who are not
+ * members of the board are dropped with a warning rather than failing the import.
+ */
+function buildImportedBoard(columns, { members, importedBy }) {
+  const errors = [];
+  const warnings = [];
+  const columnIds = new Set();
+  const taskIds = new Set();
+
+  if (columns.length === 0) {
+    errors.push('A board needs at least one column');
+  }
+
+  const board = columns.map((column, columnIndex) => {
+    const where = `Column ${columnIndex + 1}`;
+    if (!column || typeof column !== 'object' || Array.isArray(column)) {
+      errors.push(`${where}: must be an object`);
+      return null;
+    }
+
+    let name;
+    try {
+      name = validateColumnName(column.name);
+    } catch (error) {
+      errors.push(`${where}: ${error.message}`);
+    }
+
+    const id = column.id == null || column.id === '' ? `col_${uuidv4()}` : String(column.id);
+    if (id.length > MAX_COLUMN_NAME_LENGTH) {
+      errors.push(`${where}: column id must be at most ${MAX_COLUMN_NAME_LENGTH} characters`);
+    }
+    if (columnIds.has(id)) {
+      errors.push(`${where}: duplicate column id ${id}`);
+    }
+    columnIds.add(id);
+
+    const tasks = column.tasks === undefined ? [] : column.tasks;
+    if (!Array.isArray(tasks)) {
+      errors.push(`${where}: tasks must be an array`);
+      return null;
+    }
+
+    const items = tasks.map((input, taskIndex) => {
+      const taskWhere = `${where}, task ${taskIndex + 1}`;
+      try {
+        const task = importTask(input, { members, importedBy, warnings, where: taskWhere });
+        if (taskIds.has(task.id)) throw new AppError(`duplicate task id ${task.id}`, 400);
+        taskIds.add(task.id);
+        return task;
+      } catch (error) {
+        errors.push(`${taskWhere}: ${error.message}`);
+        return null;
+      }
+    });
+
+    return { id, name, items: items.filter(Boolean) };
+  });
+
+  return {
+    board: board.filter(Boolean),
+    errors: errors.slice(0, MAX_IMPORT_ERRORS),
+    warnings: warnings.slice(0, MAX_IMPORT_ERRORS)
+  };
+}
+
+/**
+ * Build a task from an import, keeping its author and timestamps when they are valid
+ */
+function importTask(input, { members, importedBy, warnings, where }) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new AppError('Task must be an object', 400);
+  }
+
+  const { createdBy, createdAt, updatedAt, ...fields } = input;
+  if (Array.isArray(fields.assigneeIds)) {
+    const unknownAssignees = fields.assigneeIds.filter(userId => !members.has(userId));
+    if (unknownAssignees.length > 0) {
+      warnings.push(`${where}: dropped assignees who are not board members: ${unknownAssignees.join(', ')}`);
+      fields.assigneeIds = fields.assigneeIds.filter(userId => members.has(userId));
+    }
+  }
+
+  const task = createTask(fields, { createdBy: importedBy, members });
+  const isDate = value => typeof value === 'string' && !Number.isNaN(Date.parse(value));
+
+  return {
+    ...task,
+    createdBy: typeof createdBy === 'string' && createdBy.length > 0 ? createdBy : importedBy,
+    createdAt: isDate(createdAt) ? new Date(createdAt).toISOString() : task.createdAt,
+    updatedAt: isDate(updatedAt) ? new Date(updatedAt).toISOString() : task.updatedAt
+  };
+}
+
+/**
+ * Find a column or fail with a 404
+ */
+function findColumn(board, columnId) {
+  const column = board.find(col => col.id === columnId);
+  if (!column) throw new AppError('Column not found', 404);
+  return column;
+}
+
+/**
+ * Find the column holding a task or fail with a 404
+ */
+function findTaskColumn(board, taskId) {
+  const found = findTask(board, taskId);
+  if (!found) throw new AppError('Task not found', 404);
+  return found.column;
+}
+
+/**
+ * Find a task and the column holding it
+ */
+function findTask(board, taskId) {
+  for (const column of board) {
+    const task = column.items.find(item => item.id === String(taskId));
+    if (task) return { column, task };
+  }
+  return null;
+}
+
 /**
  * Get default board structure
  */
@@ -178,10 +2007,17 @@ function getStats() {
 
   roomUsers.forEach((users, roomId) => {
     stats.totalUsers += users.size;
+    const board = taskBoards.get(roomId) || [];
     stats.rooms.push({
       roomId,
       userCount: users.size,
-      taskCount: getTotalTaskCount(roomId)
+      taskCount: getTotalTaskCount(roomId),
+      columnCount: board.length,
+      columns: board.map(column => ({
+        id: column.id,
+        name: column.name,
+        taskCount: column.items.length
+      }))
     });
   });
 
@@ -200,6 +2036,17 @@ function getTotalTaskCount(roomId) {
 module.exports = {
   initializeSocketIO,
   getStats,
+  getMyBoards,
+  getBoard,
+  createBoardTask,
+  updateBoardTask,
+  moveBoardTask,
+  deleteBoardTask,
+  queryTasks,
+  requireBoardMember,
+  getActivity,
+  exportBoard,
+  importBoard,
   taskBoards,
   roomUsers
 };
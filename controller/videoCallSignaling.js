@@ -2,15 +2,16 @@
  * Simple Socket.IO-based video call signaling
  *
  * Events:
- * - join-call { roomId, user }
+ * - join-call { roomId }
  *   -> replies: existing-peers [{ peerId, user }]
  *   -> broadcasts to room: new-peer { peerId, user }
- * - offer { to, sdp, user }
+ * - offer { to, sdp }
  * - answer { to, sdp }
  * - ice-candidate { to, candidate }
  * - leave-call { roomId }
  *
  * This module forwards signaling messages between peers in a room.
+ * The `user` attached to peers is the authenticated socket identity.
  */
 
 module.exports = {
@@ -20,14 +21,13 @@ module.exports = {
 
     io.on('connection', (socket) => {
 
-      socket.on('join-call', ({ roomId, user }) => {
+      socket.on('join-call', ({ roomId }) => {
         try {
           if (!roomId) return;
 
-          // Store user metadata for this socket
-          if (user) {
-            userMetadata.set(socket.id, user);
-          }
+          // Store the verified user metadata for this socket
+          const user = socket.data.user;
+          userMetadata.set(socket.id, user);
 
           // Join socket.io room for convenience
           socket.join(roomId);
@@ -54,9 +54,9 @@ module.exports = {
         }
       });
 
-      socket.on('offer', ({ to, sdp, user }) => {
+      socket.on('offer', ({ to, sdp }) => {
         if (!to) return;
-        io.to(to).emit('offer', { from: socket.id, sdp, user });
+        io.to(to).emit('offer', { from: socket.id, sdp, user: socket.data.user });
       });
 
       socket.on('answer', ({ to, sdp }) => {
@@ -1,25 +1,256 @@
 /**
  * Whiteboard Controller
  * Handles real-time collaboration for whiteboards using Socket.IO
+ *
+ * A whiteboard is an ordered list of pages, each with its own canvas. Pages are managed with
+ * add-whiteboard-page, rename-whiteboard-page, move-whiteboard-page and delete-whiteboard-page;
+ * each socket views one page at a time (view-whiteboard-page) and only hears about that page.
+ *
+ * Clients send per-object operations on the page they view instead of the whole canvas:
+ * - canvas-object-added     { object }              object must carry a string `id`, unique on the page
+ * - canvas-object-modified  { objectId, changes }   changes are merged into the stored object
+ * - canvas-object-removed   { objectId }
+ * - canvas-path-created     { object }              freehand paths, stored like any other object
+ * - canvas-cleared
+ * - canvas-sync             { canvasJSON }          explicit full replace of the page
+ *
+ * The server applies each operation to the page's object map and relays only the delta, with
+ * the page's new `revision`. The sender gets `canvas-op-applied { event, pageId, objectId, revision }`
+ * with the revision its own operation was given. The full page state is sent on join, on switching
+ * pages and on `whiteboard-resync`, so a client that sees a gap in revisions should ask for a resync.
+ *
+ * Whiteboards are persisted in Supabase, saved a short while after the last change (and at
+ * least every MAX_SAVE_DELAY_MS while changes keep coming):
+ * - whiteboards          { room_id, state, revision, updated_at }
+ * - whiteboard_snapshots { id, room_id, name, state, auto, created_by, created_by_name, created_at }
+ * `state` holds every page as { pages: [{ id, name, revision, ...canvasJSON }] }.
+ *
+ * Every applied operation is also recorded for replay, saved with the whiteboard:
+ * - whiteboard_events    { room_id, seq, operation, user_id, user_name, created_at }   seq is the whiteboard revision
+ * - whiteboard_timelines { room_id, retention_days, base_state, base_revision, base_at, updated_at }
+ * Events older than the room's retention are folded into the timeline's base state, so the
+ * state at any retained point in time is the base plus the events up to it.
+ *
+ * Users who have joined a whiteboard are recorded in whiteboard_participants { room_id, user_id, joined_at };
+ * the REST routes are restricted to them and to admins.
+ *
+ * Named snapshots can be saved and restored at any time; clearing a page or restoring a
+ * snapshot first takes an automatic snapshot so either can be undone.
+ *
+ * Cursors (`whiteboard-cursor { x, y }`) and selections (`whiteboard-selection { objectIds }`)
+ * are ephemeral presence: throttled per socket, relayed with the user's colour and never saved.
+ *
+ * Object operations from clients are limited in size, number of objects per page, object types
+ * and object properties (see the WHITEBOARD_* settings below); an operation over a limit is
+ * rejected with `whiteboard-op-rejected` and counted in getStats().
+ *
+ * A socket can lock objects with `whiteboard-lock { objectIds }` while it edits them. Changes to
+ * a locked object from any other socket are rejected until the holder unlocks, disconnects or
+ * lets the lock expire; the room is sent the current locks as `whiteboard-locks` on every change.
  */
 
+const { v4: uuidv4 } = require('uuid');
+const { supabaseAdmin } = require('../util/supabaseClient');
+const AppError = require('../util/appError');
+const catchAsync = require('../util/catchAsync');
+const { renderWhiteboardSvg, isColor } = require('../util/whiteboardSvg');
+
 // Store whiteboard data per room
-const whiteboards = new Map(); // roomId -> canvas JSON state
-const roomUsers = new Map();   // roomId -> Set of {userId, userName, socketId}
+const whiteboards = new Map(); // roomId -> { pages: [{ id, name, objects: Map of objectId -> object, canvas, revision }], revision }
+const roomUsers = new Map();   // roomId -> Set of {userId, userName, socketId, color, pageId, cursor, selection}
+const loadingWhiteboards = new Map(); // roomId -> promise of the whiteboard being loaded
+const saveTimers = new Map(); // roomId -> timer of the pending debounced save
+const unsavedSince = new Map(); // roomId -> time of the oldest change not yet being saved
+const saveQueues = new Map(); // roomId -> tail of the room's database writes
+const objectLocks = new Map(); // roomId -> Map of lock key -> {pageId, objectId, userId, userName, socketId, color, expiresAt, timer}
+const pendingEvents = new Map(); // roomId -> whiteboard_events rows waiting for the next save
+const rejectedPayloads = new Map(); // roomId -> number of operations rejected for exceeding a limit
+let totalRejectedPayloads = 0;
+let ioInstance = null; // Socket.IO server used to broadcast lock changes
+
+const SAVE_DELAY_MS = 2000;
+const MAX_SAVE_DELAY_MS = 10000;
+const MAX_SNAPSHOT_NAME_LENGTH = 100;
+const SNAPSHOT_LIST_LIMIT = 50;
+const MAX_SVG_PADDING = 1000;
+const MAX_SVG_SIZE = 20000;
+const CURSOR_THROTTLE_MS = 50;
+const SELECTION_THROTTLE_MS = 100;
+const MAX_SELECTION_SIZE = 500;
+const LOCK_TIMEOUT_MS = 30000;
+const MAX_LOCKS_PER_REQUEST = 500;
+const MAX_PAGE_NAME_LENGTH = 100;
+const MAX_PAGES = 100;
+const DEFAULT_RETENTION_DAYS = Number(process.env.WHITEBOARD_REPLAY_RETENTION_DAYS) || 30;
+const MAX_RETENTION_DAYS = 3650;
+const REPLAY_PAGE_SIZE = 100;
+const MAX_REPLAY_PAGE_SIZE = 500;
+const EVENT_BATCH_SIZE = 1000;
+const MAX_PAYLOAD_BYTES = Number(process.env.WHITEBOARD_MAX_PAYLOAD_BYTES) || 1024 * 1024;
+const MAX_OBJECTS_PER_PAGE = Number(process.env.WHITEBOARD_MAX_OBJECTS) || 5000;
+const ALLOWED_OBJECT_TYPES = parseListSetting(process.env.WHITEBOARD_ALLOWED_TYPES, [
+  'rect', 'circle', 'ellipse', 'triangle', 'line', 'polyline', 'polygon', 'path',
+  'text', 'i-text', 'textbox', 'image', 'group'
+]);
+const ALLOWED_OBJECT_PROPERTIES = parseListSetting(process.env.WHITEBOARD_ALLOWED_PROPERTIES, [
+  'id', 'type', 'version', 'name', 'data',
+  'originX', 'originY', 'left', 'top', 'width', 'height', 'scaleX', 'scaleY', 'angle', 'flipX', 'flipY', 'skewX', 'skewY',
+  'fill', 'fillRule', 'stroke', 'strokeWidth', 'strokeDashArray', 'strokeDashOffset', 'strokeLineCap', 'strokeLineJoin',
+  'strokeMiterLimit', 'strokeUniform', 'opacity', 'shadow', 'visible', 'backgroundColor', 'paintFirst',
+  'globalCompositeOperation', 'clipPath', 'selectable', 'evented', 'lockMovementX', 'lockMovementY',
+  'rx', 'ry', 'radius', 'startAngle', 'endAngle', 'x1', 'y1', 'x2', 'y2', 'points', 'path', 'pathOffset',
+  'text', 'fontSize', 'fontWeight', 'fontFamily', 'fontStyle', 'lineHeight', 'underline', 'overline', 'linethrough',
+  'textAlign', 'textBackgroundColor', 'charSpacing', 'styles', 'direction', 'minWidth', 'splitByGrapheme',
+  'src', 'crossOrigin', 'filters', 'cropX', 'cropY', 'objects'
+]);
+const USER_COLORS = [
+  '#e6194b', '#3cb44b', '#4363d8', '#f58231', '#911eb4', '#42d4f4',
+  '#f032e6', '#469990', '#9a6324', '#800000', '#808000', '#000075'
+];
 
 /**
  * Initialize Whiteboard Socket.IO handlers
  */
 function initializeSocketIO(io) {
+  ioInstance = io;
 
   io.on('connection', (socket) => {
     let currentRoom = null;
     let currentUserId = null;
     let currentUserName = null;
+    let presence = null; // this socket's entry in roomUsers
+
+    // Relay presence to the user's page at most once per interval, always delivering the latest position
+    const relayCursor = createThrottle(CURSOR_THROTTLE_MS, (cursor) => {
+      if (!presence) return;
+      socket.to(getPageRoom(currentRoom, presence.pageId)).emit('whiteboard-cursor', { ...getPresenceUser(presence), cursor });
+    });
+    const relaySelection = createThrottle(SELECTION_THROTTLE_MS, (objectIds) => {
+      if (!presence) return;
+      socket.to(getPageRoom(currentRoom, presence.pageId)).emit('whiteboard-selection', { ...getPresenceUser(presence), objectIds });
+    });
+
+    // Apply an operation to a page of the room's whiteboard, relay the result to everyone viewing
+    // that page and tell the sender the revision it was applied at, or why it was rejected
+    const handleOperation = (event, operation, relay) => {
+      if (!presence) return;
+
+      const whiteboard = whiteboards.get(currentRoom);
+      const pageOperation = { pageId: presence.pageId, ...operation };
+      try {
+        checkPayloadLimits(currentRoom, whiteboard, pageOperation);
+        checkLocks(currentRoom, whiteboard, pageOperation, socket.id);
+        applyOperation(whiteboard, pageOperation);
+      } catch (error) {
+        socket.emit('whiteboard-op-rejected', {
+          event,
+          pageId: pageOperation.pageId,
+          objectId: error.objectId || operation.objectId || (operation.object && operation.object.id) || null,
+          message: error.isOperational ? error.message : 'Invalid whiteboard operation',
+          ...(error.lockedBy && { lockedBy: error.lockedBy })
+        });
+        return;
+      }
+
+      const page = findPage(whiteboard, pageOperation.pageId);
+      relay(getPageRoom(currentRoom, page.id), page, { pageId: page.id, userId: currentUserId, revision: page.revision });
+      socket.emit('canvas-op-applied', {
+        event,
+        pageId: page.id,
+        objectId: operation.objectId || (operation.object && operation.object.id) || null,
+        revision: page.revision
+      });
+      recordEvent(currentRoom, pageOperation, socket.data.user);
+      scheduleSave(currentRoom);
+
+      // Editing a locked object keeps the lock alive; locks on objects that are gone are dropped
+      if (operation.type === 'update') renewLock(currentRoom, page.id, operation.objectId, socket.id);
+      releaseMissingLocks(currentRoom, whiteboard);
+    };
+
+    // Apply a change to the room's list of pages and send the new list to everyone in the room
+    const handlePageOperation = (event, operation, payload) => {
+      if (!presence) return;
+
+      const whiteboard = whiteboards.get(currentRoom);
+      try {
+        checkLocks(currentRoom, whiteboard, operation, socket.id);
+        applyOperation(whiteboard, operation);
+      } catch (error) {
+        socket.emit('whiteboard-op-rejected', {
+          event,
+          pageId: operation.pageId || (operation.page && operation.page.id) || null,
+          objectId: error.objectId || null,
+          message: error.isOperational ? error.message : 'Invalid whiteboard operation',
+          ...(error.lockedBy && { lockedBy: error.lockedBy })
+        });
+        return false;
+      }
+
+      io.to(currentRoom).emit(event, { ...payload, pages: getPageSummaries(whiteboard), userId: currentUserId });
+      recordEvent(currentRoom, operation, socket.data.user);
+      scheduleSave(currentRoom);
+      return true;
+    };
+
+    // Switch the page this socket views, dropping its cursor, selection and locks on the old one
+    const viewPage = (pageId) => {
+      const previousRoom = presence.pageId && getPageRoom(currentRoom, presence.pageId);
+      if (previousRoom) {
+        unlockObjects(currentRoom, socket.id);
+        relayCursor.cancel();
+        relaySelection.cancel();
+        socket.to(previousRoom).emit('whiteboard-presence-removed', getPresenceUser(presence));
+        socket.leave(previousRoom);
+      }
+
+      presence.pageId = pageId;
+      presence.cursor = null;
+      presence.selection = [];
+      socket.join(getPageRoom(currentRoom, pageId));
+
+      // Send the page's state and the cursors and selections of everyone else on it
+      const users = roomUsers.get(currentRoom);
+      socket.emit('whiteboard-state', serializeWhiteboard(whiteboards.get(currentRoom), pageId));
+      socket.emit('whiteboard-presence', Array.from(users)
+        .filter(user => user !== presence && user.pageId === pageId)
+        .map(user => ({ ...getPresenceUser(user), cursor: user.cursor, objectIds: user.selection })));
+    };
+
+    // Report a failed snapshot or storage request to the socket that sent it
+    const emitWhiteboardError = (event, error, fallbackMessage) => {
+      const isClientError = error.isOperational && error.statusCode < 500;
+      if (!isClientError) {
+        console.error(`❌ Error handling ${event}:`, error);
+      }
+
+      socket.emit('whiteboard-error', {
+        event,
+        message: isClientError ? error.message : fallbackMessage
+      });
+    };
+
+    // Handle joining a whiteboard room, optionally on a given page (the first page by default)
+    socket.on('join-whiteboard', async ({ roomId, pageId } = {}) => {
+      // Identity comes from the authenticated handshake, not the payload
+      const { id: userId, name: userName } = socket.data.user;
+
+      // Load the saved whiteboard, or start an empty one, and remember the user took part in it
+      let whiteboard;
+      try {
+        whiteboard = await ensureWhiteboard(roomId);
+        await addParticipant(roomId, userId);
+      } catch (error) {
+        emitWhiteboardError('join-whiteboard', error, 'Failed to load whiteboard');
+        return;
+      }
+
+      // The socket disconnected while the whiteboard was loading - don't leave it behind as an online user
+      if (!socket.connected) {
+        if (!roomUsers.has(roomId)) releaseWhiteboard(roomId);
+        return;
+      }
 
-    // Handle joining a whiteboard room
-    socket.on('join-whiteboard', ({ roomId, userId, userName }) => {
-      
       currentRoom = roomId;
       currentUserId = userId;
       currentUserName = userName;
@@ -27,11 +258,6 @@ function initializeSocketIO(io) {
       // Join Socket.IO room
       socket.join(roomId);
 
-      // Initialize room if it doesn't exist
-      if (!whiteboards.has(roomId)) {
-        whiteboards.set(roomId, { objects: [] });
-      }
-      
       // Initialize or get user list for room
       if (!roomUsers.has(roomId)) {
         roomUsers.set(roomId, new Set());
@@ -39,90 +265,271 @@ function initializeSocketIO(io) {
 
       // Add user to room
       const users = roomUsers.get(roomId);
-      users.add({ userId, userName, socketId: socket.id });
+      presence = { userId, userName, socketId: socket.id, color: assignColor(users, userId), pageId: null, cursor: null, selection: [] };
+      users.add(presence);
 
       // Notify others that user joined
-      socket.to(roomId).emit('user-joined-whiteboard', { userId, userName });
+      socket.to(roomId).emit('user-joined-whiteboard', { userId, userName, color: presence.color });
 
-      // Send current whiteboard state to the joining user
-      socket.emit('whiteboard-state', whiteboards.get(roomId));
+      // Send the page's state and presence to the joining user
+      const page = whiteboard.pages.find(item => item.id === pageId) || whiteboard.pages[0];
+      viewPage(page.id);
 
-      // Send list of online users
-      const onlineUsers = Array.from(users).map(u => ({ userId: u.userId, userName: u.userName }));
-      io.to(roomId).emit('whiteboard-online-users', onlineUsers);
+      // Send list of online users and the objects currently locked
+      io.to(roomId).emit('whiteboard-online-users', getOnlineUsers(users));
+      socket.emit('whiteboard-locks', serializeLocks(roomId));
 
     });
 
-    // Handle canvas object added
-    socket.on('canvas-object-added', ({ canvasJSON }) => {
-      if (!currentRoom) return;
+    // Handle switching to another page of the whiteboard
+    socket.on('view-whiteboard-page', ({ pageId } = {}) => {
+      if (!presence) return;
+
+      const whiteboard = whiteboards.get(currentRoom);
+      if (!whiteboard.pages.some(page => page.id === pageId)) {
+        socket.emit('whiteboard-op-rejected', { event: 'view-whiteboard-page', pageId: pageId || null, objectId: null, message: 'Page not found' });
+        return;
+      }
+      if (pageId === presence.pageId) return;
 
+      viewPage(pageId);
+      io.to(currentRoom).emit('whiteboard-online-users', getOnlineUsers(roomUsers.get(currentRoom)));
+    });
 
-      // Update server-side state
-      whiteboards.set(currentRoom, canvasJSON);
+    // Handle adding a page, at the end unless an index is given
+    socket.on('add-whiteboard-page', ({ name, index } = {}) => {
+      if (!presence) return;
 
-      // Broadcast to all other users in the room (not the sender)
-      socket.to(currentRoom).emit('canvas-object-added', { canvasJSON, userId: currentUserId });
+      const whiteboard = whiteboards.get(currentRoom);
+      const page = { id: `page_${uuidv4()}`, name };
+      const position = Number.isInteger(index) ? Math.min(Math.max(index, 0), whiteboard.pages.length) : whiteboard.pages.length;
+      handlePageOperation('whiteboard-page-added', { type: 'add-page', page, index: position }, { pageId: page.id, index: position });
     });
 
-    // Handle canvas object modified
-    socket.on('canvas-object-modified', ({ canvasJSON }) => {
-      if (!currentRoom) return;
+    // Handle renaming a page
+    socket.on('rename-whiteboard-page', ({ pageId, name } = {}) => {
+      handlePageOperation('whiteboard-page-renamed', { type: 'rename-page', pageId, name }, { pageId });
+    });
 
+    // Handle reordering a page
+    socket.on('move-whiteboard-page', ({ pageId, newIndex } = {}) => {
+      handlePageOperation('whiteboard-page-moved', { type: 'move-page', pageId, index: newIndex }, { pageId, newIndex });
+    });
+
+    // Handle deleting a page - everyone viewing it is moved to a neighbouring page
+    socket.on('delete-whiteboard-page', ({ pageId } = {}) => {
+      if (!presence) return;
 
-      // Update server-side state
-      whiteboards.set(currentRoom, canvasJSON);
+      const whiteboard = whiteboards.get(currentRoom);
+      const index = whiteboard.pages.findIndex(page => page.id === pageId);
+      const fallback = whiteboard.pages[index === 0 ? 1 : index - 1];
+      if (!handlePageOperation('whiteboard-page-deleted', { type: 'delete-page', pageId }, { pageId, fallbackPageId: fallback && fallback.id })) {
+        return;
+      }
 
-      // Broadcast to all other users in the room
-      socket.to(currentRoom).emit('canvas-object-modified', { canvasJSON, userId: currentUserId });
+      // Send the viewers the page they were moved to, then move them to its Socket.IO room
+      const deletedRoom = getPageRoom(currentRoom, pageId);
+      roomUsers.get(currentRoom).forEach(user => {
+        if (user.pageId !== pageId) return;
+        user.pageId = fallback.id;
+        user.cursor = null;
+        user.selection = [];
+      });
+      io.to(deletedRoom).emit('whiteboard-state', serializeWhiteboard(whiteboard, fallback.id));
+      io.in(deletedRoom).socketsJoin(getPageRoom(currentRoom, fallback.id));
+      io.in(deletedRoom).socketsLeave(deletedRoom);
+      io.to(currentRoom).emit('whiteboard-online-users', getOnlineUsers(roomUsers.get(currentRoom)));
+      releaseMissingLocks(currentRoom, whiteboard);
     });
 
-    // Handle canvas object removed
-    socket.on('canvas-object-removed', ({ canvasJSON }) => {
-      if (!currentRoom) return;
+    // Handle cursor movement - relayed to the page, never stored with the whiteboard
+    socket.on('whiteboard-cursor', ({ x, y } = {}) => {
+      if (!presence) return;
+
+      // A null position means the cursor left the canvas
+      const cursor = x === null && y === null ? null : { x: Number(x), y: Number(y) };
+      if (cursor && (!Number.isFinite(cursor.x) || !Number.isFinite(cursor.y))) return;
+
+      presence.cursor = cursor;
+      relayCursor(cursor);
+    });
+
+    // Handle selection changes - an empty list clears the user's selection
+    socket.on('whiteboard-selection', ({ objectIds } = {}) => {
+      if (!presence) return;
+      if (!Array.isArray(objectIds) || objectIds.length > MAX_SELECTION_SIZE || objectIds.some(id => typeof id !== 'string')) return;
+
+      presence.selection = Array.from(new Set(objectIds));
+      relaySelection(presence.selection);
+    });
+
+    // Handle locking objects on the current page - all of them are locked, or none if any is held by someone else
+    socket.on('whiteboard-lock', ({ objectIds } = {}) => {
+      if (!presence) return;
+
+      try {
+        lockObjects(currentRoom, presence, validateObjectIds(objectIds));
+      } catch (error) {
+        socket.emit('whiteboard-op-rejected', {
+          event: 'whiteboard-lock',
+          pageId: presence.pageId,
+          objectId: error.objectId || null,
+          message: error.message,
+          ...(error.lockedBy && { lockedBy: error.lockedBy })
+        });
+      }
+    });
+
+    // Handle releasing locks - without objectIds every lock this socket holds is released
+    socket.on('whiteboard-unlock', ({ objectIds } = {}) => {
+      if (!presence) return;
+      if (objectIds !== undefined && !Array.isArray(objectIds)) return;
+
+      unlockObjects(currentRoom, socket.id, objectIds);
+    });
+
+    // Handle a client asking for the full state of its page after missing an operation
+    socket.on('whiteboard-resync', () => {
+      if (!presence) return;
+
+      socket.emit('whiteboard-state', serializeWhiteboard(whiteboards.get(currentRoom), presence.pageId));
+    });
 
+    // Handle canvas object added
+    socket.on('canvas-object-added', ({ object } = {}) => {
+      handleOperation('canvas-object-added', { type: 'add', object }, (pageRoom, page, delta) => {
+        // Broadcast to all other users on the page (not the sender)
+        socket.to(pageRoom).emit('canvas-object-added', { object: page.objects.get(object.id), ...delta });
+      });
+    });
 
-      // Update server-side state
-      whiteboards.set(currentRoom, canvasJSON);
+    // Handle canvas object modified
+    socket.on('canvas-object-modified', ({ objectId, changes } = {}) => {
+      handleOperation('canvas-object-modified', { type: 'update', objectId, changes }, (pageRoom, page, delta) => {
+        // Broadcast only the changed properties to all other users on the page
+        socket.to(pageRoom).emit('canvas-object-modified', { objectId, changes, ...delta });
+      });
+    });
 
-      // Broadcast to all other users in the room
-      socket.to(currentRoom).emit('canvas-object-removed', { canvasJSON, userId: currentUserId });
+    // Handle canvas object removed
+    socket.on('canvas-object-removed', ({ objectId } = {}) => {
+      handleOperation('canvas-object-removed', { type: 'remove', objectId }, (pageRoom, page, delta) => {
+        // Broadcast to all other users on the page
+        socket.to(pageRoom).emit('canvas-object-removed', { objectId, ...delta });
+      });
     });
 
     // Handle path created (freehand drawing)
-    socket.on('canvas-path-created', ({ canvasJSON }) => {
-      if (!currentRoom) return;
+    socket.on('canvas-path-created', ({ object } = {}) => {
+      handleOperation('canvas-path-created', { type: 'add', object }, (pageRoom, page, delta) => {
+        // Broadcast to all other users on the page
+        socket.to(pageRoom).emit('canvas-path-created', { object: page.objects.get(object.id), ...delta });
+      });
+    });
+
+    // Handle the current page being cleared - the whiteboard is snapshotted first so the clear can be undone
+    socket.on('canvas-cleared', async () => {
+      if (!presence) return;
 
+      const roomId = currentRoom;
+      const pageId = presence.pageId;
+      let snapshot = null;
+      try {
+        checkLocks(roomId, whiteboards.get(roomId), { type: 'clear', pageId }, socket.id);
+      } catch (error) {
+        socket.emit('whiteboard-op-rejected', { event: 'canvas-cleared', pageId, objectId: error.objectId, message: error.message, lockedBy: error.lockedBy });
+        return;
+      }
 
-      // Update server-side state
-      whiteboards.set(currentRoom, canvasJSON);
+      try {
+        if (findPage(whiteboards.get(roomId), pageId).objects.size > 0) {
+          snapshot = await createSnapshot(roomId, socket.data.user, { name: `Before clear ${new Date().toISOString()}`, auto: true });
+        }
+      } catch (error) {
+        console.error('❌ Error saving snapshot before clear:', error);
+        socket.emit('whiteboard-op-rejected', {
+          event: 'canvas-cleared',
+          pageId,
+          objectId: null,
+          message: 'Failed to save a snapshot before clearing, the canvas was not cleared'
+        });
+        return;
+      }
+
+      handleOperation('canvas-cleared', { type: 'clear', pageId }, (pageRoom, page, delta) => {
+        // Broadcast to all users on the page
+        io.to(pageRoom).emit('canvas-cleared', { ...delta, snapshot });
+      });
+    });
 
-      // Broadcast to all other users in the room
-      socket.to(currentRoom).emit('canvas-path-created', { canvasJSON, userId: currentUserId });
+    // Handle full canvas sync (explicit replace of the current page)
+    socket.on('canvas-sync', ({ canvasJSON } = {}) => {
+      handleOperation('canvas-sync', { type: 'replace', canvasJSON }, (pageRoom, page, delta) => {
+        // Broadcast to all other users on the page
+        socket.to(pageRoom).emit('canvas-sync', { canvasJSON: toCanvasJSON(page), ...delta });
+      });
     });
 
-    // Handle canvas cleared
-    socket.on('canvas-cleared', () => {
+    // Handle saving a named snapshot of the whole whiteboard
+    socket.on('save-whiteboard-snapshot', async ({ name } = {}) => {
       if (!currentRoom) return;
 
+      try {
+        const snapshot = await createSnapshot(currentRoom, socket.data.user, { name: validateSnapshotName(name), auto: false });
+        io.to(currentRoom).emit('whiteboard-snapshot-saved', { snapshot });
+      } catch (error) {
+        emitWhiteboardError('save-whiteboard-snapshot', error, 'Failed to save snapshot');
+      }
+    });
 
-      // Clear server-side state
-      whiteboards.set(currentRoom, { objects: [] });
+    // Handle listing the room's snapshots, newest first
+    socket.on('list-whiteboard-snapshots', async () => {
+      if (!currentRoom) return;
 
-      // Broadcast to all users in the room
-      io.to(currentRoom).emit('canvas-cleared', { userId: currentUserId });
+      try {
+        socket.emit('whiteboard-snapshots', { snapshots: await listSnapshots(currentRoom) });
+      } catch (error) {
+        emitWhiteboardError('list-whiteboard-snapshots', error, 'Failed to load snapshots');
+      }
     });
 
-    // Handle full canvas sync (for large updates)
-    socket.on('canvas-sync', ({ canvasJSON }) => {
+    // Handle restoring a snapshot for everyone in the room
+    socket.on('restore-whiteboard-snapshot', async ({ snapshotId } = {}) => {
       if (!currentRoom) return;
 
+      const roomId = currentRoom;
+      try {
+        const snapshot = await findSnapshot(roomId, snapshotId);
+        checkLocks(roomId, await ensureWhiteboard(roomId), { type: 'restore' }, socket.id);
+        const backup = await createSnapshot(roomId, socket.data.user, { name: `Before restoring "${snapshot.name}"`, auto: true });
 
-      // Update server-side state
-      whiteboards.set(currentRoom, canvasJSON);
+        const operation = { type: 'restore', state: snapshot.state };
+        const whiteboard = applyOperation(await ensureWhiteboard(roomId), operation);
+        recordEvent(roomId, operation, socket.data.user);
+        scheduleSave(roomId);
+        releaseMissingLocks(roomId, whiteboard);
 
-      // Broadcast to all other users in the room
-      socket.to(currentRoom).emit('canvas-sync', { canvasJSON, userId: currentUserId });
+        // Users whose page no longer exists are moved to the first page
+        const users = roomUsers.get(roomId) || new Set();
+        users.forEach(user => {
+          if (whiteboard.pages.some(page => page.id === user.pageId)) return;
+          io.in(getPageRoom(roomId, user.pageId)).socketsLeave(getPageRoom(roomId, user.pageId));
+          io.in(user.socketId).socketsJoin(getPageRoom(roomId, whiteboard.pages[0].id));
+          user.pageId = whiteboard.pages[0].id;
+        });
+
+        // Broadcast the restored state of every page to all users in the room
+        io.to(roomId).emit('whiteboard-restored', {
+          snapshot: { id: snapshot.id, name: snapshot.name },
+          backup,
+          state: toWhiteboardJSON(whiteboard),
+          userId: socket.data.user.id,
+          revision: whiteboard.revision
+        });
+        io.to(roomId).emit('whiteboard-online-users', getOnlineUsers(users));
+      } catch (error) {
+        emitWhiteboardError('restore-whiteboard-snapshot', error, 'Failed to restore snapshot');
+      }
     });
 
     // Handle disconnection
@@ -132,24 +539,26 @@ function initializeSocketIO(io) {
         const users = roomUsers.get(currentRoom);
         if (users) {
           // Remove user from room
-          for (const user of users) {
-            if (user.socketId === socket.id) {
-              users.delete(user);
-              break;
-            }
-          }
+          users.delete(presence);
+
+          // Release the socket's locks and drop its cursor and selection,
+          // including any relay still waiting on its throttle
+          unlockObjects(currentRoom, socket.id);
+          relayCursor.cancel();
+          relaySelection.cancel();
+          socket.to(getPageRoom(currentRoom, presence.pageId)).emit('whiteboard-presence-removed', getPresenceUser(presence));
+          presence = null;
 
           // Notify others that user left
           socket.to(currentRoom).emit('user-left-whiteboard', { userId: currentUserId, userName: currentUserName });
 
           // Send updated online users list
-          const onlineUsers = Array.from(users).map(u => ({ userId: u.userId, userName: u.userName }));
-          io.to(currentRoom).emit('whiteboard-online-users', onlineUsers);
+          io.to(currentRoom).emit('whiteboard-online-users', getOnlineUsers(users));
 
-          // Don't clean up whiteboard data - persist it for when users rejoin
+          // Save the whiteboard and drop it from memory once the room is empty
           if (users.size === 0) {
             roomUsers.delete(currentRoom);
-          } else {
+            releaseWhiteboard(currentRoom);
           }
         }
       }
@@ -158,6 +567,1170 @@ function initializeSocketIO(io) {
 
 }
 
+/**
+ * GET /:roomId/svg - Render a whiteboard page to a standalone SVG document
+ * Query: { pageId? (first page by default), crop?, padding?, background?, width?, height?, download? }
+ */
+const exportSvg = catchAsync(async (req, res, next) => {
+  const { roomId } = req.params;
+  const { pageId, crop, padding, background, width, height, download } = req.query;
+
+  const options = { crop: crop === 'true', padding: 0 };
+  for (const [name, value, max] of [['padding', padding, MAX_SVG_PADDING], ['width', width, MAX_SVG_SIZE], ['height', height, MAX_SVG_SIZE]]) {
+    if (value === undefined) continue;
+    const number = Number(value);
+    if (!Number.isFinite(number) || number < 0 || number > max) {
+      return next(new AppError(`${name} must be a number between 0 and ${max}`, 400));
+    }
+    options[name] = number;
+  }
+  if (background !== undefined) {
+    if (!isColor(background)) {
+      return next(new AppError('background must be a CSS colour such as #ffffff, rgb(255, 255, 255) or white', 400));
+    }
+    options.background = background;
+  }
+
+  // Render from memory while the room is open, otherwise from the saved state
+  const whiteboard = whiteboards.get(roomId) || (await loadWhiteboard(roomId));
+  const page = pageId === undefined ? whiteboard.pages[0] : findPage(whiteboard, pageId);
+  const { svg, skipped } = renderWhiteboardSvg(toCanvasJSON(page), options);
+
+  const fileName = `whiteboard-${roomId}-${page.name}`.replace(/[^\w.-]/g, '_');
+  res.set({
+    'Content-Type': 'image/svg+xml; charset=utf-8',
+    'Content-Disposition': `${download === 'true' ? 'attachment' : 'inline'}; filename="${fileName}.svg"`,
+    'X-Whiteboard-Skipped-Objects': String(skipped)
+  });
+  res.status(200).send(svg);
+});
+
+/**
+ * GET /:roomId/replay - State of a whiteboard at a point in time and a page of its event log
+ * Query: { at? (ISO date, now by default), after? (seq to list events after), limit? }
+ */
+const getReplay = catchAsync(async (req, res, next) => {
+  const { roomId } = req.params;
+  const { at, after, limit } = req.query;
+
+  const pageSize = limit === undefined ? REPLAY_PAGE_SIZE : Number(limit);
+  if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_REPLAY_PAGE_SIZE) {
+    return next(new AppError(`limit must be a whole number between 1 and ${MAX_REPLAY_PAGE_SIZE}`, 400));
+  }
+  const time = at === undefined ? new Date() : new Date(at);
+  if (Number.isNaN(time.getTime())) {
+    return next(new AppError('at must be an ISO date', 400));
+  }
+
+  // Write out operations still waiting for their debounced save
+  await flushWhiteboard(roomId);
+
+  const timeline = await findTimeline(roomId);
+  if (time < new Date(timeline.base_at)) {
+    return next(new AppError(`Replay history for this whiteboard starts at ${timeline.base_at}`, 400));
+  }
+
+  const afterSeq = after === undefined ? timeline.base_revision : Number(after);
+  if (!Number.isInteger(afterSeq) || afterSeq < 0) {
+    return next(new AppError('after must be a whole number', 400));
+  }
+
+  // Rebuild the state from the base, then list the requested page of events
+  const { whiteboard } = await replayTimeline(roomId, timeline, { until: time.toISOString() });
+  const events = await fetchEvents(roomId, { afterSeq, limit: pageSize + 1 });
+  const hasMore = events.length > pageSize;
+  const page = events.slice(0, pageSize);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      roomId,
+      retentionDays: timeline.retention_days || DEFAULT_RETENTION_DAYS,
+      startedAt: timeline.base_at,
+      at: time.toISOString(),
+      revision: whiteboard.revision,
+      state: toWhiteboardJSON(whiteboard),
+      events: page.map(fromEventRow),
+      nextAfter: hasMore ? page[page.length - 1].seq : null
+    }
+  });
+});
+
+/**
+ * Restrict a route to users who have joined the room's whiteboard, and admins
+ */
+const requireWhiteboardParticipant = catchAsync(async (req, res, next) => {
+  const { data: participant, error } = await supabaseAdmin
+    .from('whiteboard_participants')
+    .select('user_id')
+    .eq('room_id', req.params.roomId)
+    .eq('user_id', req.user.id)
+    .maybeSingle();
+
+  if (error) return next(new AppError(error.message, 500));
+  if (participant) return next();
+
+  const { data: userData, error: userError } = await supabaseAdmin
+    .from('users')
+    .select('role')
+    .eq('id', req.user.id)
+    .maybeSingle();
+
+  if (userError) return next(new AppError(userError.message, 500));
+  if (!userData || userData.role !== 'admin') {
+    return next(new AppError('You have not joined this whiteboard', 403));
+  }
+  next();
+});
+
+/**
+ * PATCH /:roomId/replay - Change how long a whiteboard's replay history is kept
+ * Body: { retentionDays } (null for the server default)
+ */
+const updateReplaySettings = catchAsync(async (req, res, next) => {
+  const { roomId } = req.params;
+  const { retentionDays } = req.body || {};
+
+  if (retentionDays !== null && (!Number.isInteger(retentionDays) || retentionDays < 1 || retentionDays > MAX_RETENTION_DAYS)) {
+    return next(new AppError(`retentionDays must be a whole number between 1 and ${MAX_RETENTION_DAYS}, or null`, 400));
+  }
+
+  await flushWhiteboard(roomId);
+  await findTimeline(roomId);
+
+  const { error } = await supabaseAdmin
+    .from('whiteboard_timelines')
+    .update({ retention_days: retentionDays, updated_at: new Date().toISOString() })
+    .eq('room_id', roomId);
+
+  if (error) return next(new AppError(error.message, 500));
+
+  // Apply a shorter retention straight away
+  const timeline = await pruneTimeline(roomId);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      roomId,
+      retentionDays: timeline.retention_days || DEFAULT_RETENTION_DAYS,
+      startedAt: timeline.base_at
+    }
+  });
+});
+
+/**
+ * Give a user joining a room their colour - the one they already have on another socket,
+ * otherwise the first colour nobody in the room is using
+ */
+function assignColor(users, userId) {
+  const existing = Array.from(users).find(user => user.userId === userId);
+  if (existing) return existing.color;
+
+  const used = new Set(Array.from(users).map(user => user.color));
+  return USER_COLORS.find(color => !used.has(color)) || USER_COLORS[users.size % USER_COLORS.length];
+}
+
+/**
+ * Identity sent with presence events
+ */
+function getPresenceUser(user) {
+  return { userId: user.userId, userName: user.userName, socketId: user.socketId, color: user.color };
+}
+
+/**
+ * List of online users sent to the room, with each user's colour and the page they view
+ */
+function getOnlineUsers(users) {
+  return Array.from(users).map(u => ({ userId: u.userId, userName: u.userName, color: u.color, pageId: u.pageId }));
+}
+
+/**
+ * Wrap a function so it runs at most once per interval. Calls made in between are
+ * collapsed into one trailing call with the latest arguments.
+ */
+function createThrottle(interval, fn) {
+  let lastRun = 0;
+  let timer = null;
+  let pendingArgs = null;
+
+  const run = (args) => {
+    lastRun = Date.now();
+    fn(...args);
+  };
+
+  const throttled = (...args) => {
+    const wait = lastRun + interval - Date.now();
+    if (wait <= 0 && !timer) {
+      run(args);
+      return;
+    }
+
+    pendingArgs = args;
+    if (!timer) {
+      timer = setTimeout(() => {
+        timer = null;
+        run(pendingArgs);
+      }, wait);
+    }
+  };
+
+  throttled.cancel = () => {
+    clearTimeout(timer);
+    timer = null;
+  };
+
+  return throttled;
+}
+
+/**
+ * Reject an operation that touches an object locked by another socket.
+ * Clearing, replacing or deleting a page touches every object on it, restoring a snapshot touches all pages.
+ */
+function checkLocks(roomId, whiteboard, operation, socketId) {
+  const locks = objectLocks.get(roomId);
+  if (!locks) return;
+
+  const touches = (lock) => {
+    switch (operation.type) {
+      case 'update':
+      case 'remove':
+        return lock.pageId === operation.pageId && lock.objectId === operation.objectId;
+      case 'clear':
+      case 'replace':
+      case 'delete-page':
+        return lock.pageId === operation.pageId;
+      case 'restore':
+        return true;
+      default:
+        return false;
+    }
+  };
+
+  for (const lock of locks.values()) {
+    if (lock.socketId !== socketId && touches(lock)) {
+      throw lockedError(lock);
+    }
+  }
+}
+
+/**
+ * Error for a change to an object someone else has locked
+ */
+function lockedError(lock) {
+  const error = new AppError(`Object ${lock.objectId} is being edited by ${lock.userName}`, 423);
+  error.objectId = lock.objectId;
+  error.lockedBy = { userId: lock.userId, userName: lock.userName };
+  return error;
+}
+
+/**
+ * Key of an object's lock - object ids are only unique within a page
+ */
+function getLockKey(pageId, objectId) {
+  return `${pageId}:${objectId}`;
+}
+
+/**
+ * Lock objects on the holder's page, or throw without locking anything if another socket
+ * holds one. Locks the socket already holds are renewed.
+ */
+function lockObjects(roomId, holder, objectIds) {
+  const page = findPage(whiteboards.get(roomId), holder.pageId);
+  if (!objectLocks.has(roomId)) objectLocks.set(roomId, new Map());
+  const locks = objectLocks.get(roomId);
+
+  for (const objectId of objectIds) {
+    if (!page.objects.has(objectId)) {
+      const error = new AppError(`Object ${objectId} not found`, 404);
+      error.objectId = objectId;
+      throw error;
+    }
+    const lock = locks.get(getLockKey(page.id, objectId));
+    if (lock && lock.socketId !== holder.socketId) throw lockedError(lock);
+  }
+
+  objectIds.forEach(objectId => {
+    const key = getLockKey(page.id, objectId);
+    if (locks.has(key)) {
+      renewLock(roomId, page.id, objectId, holder.socketId);
+      return;
+    }
+    const lock = { pageId: page.id, objectId, userId: holder.userId, userName: holder.userName, socketId: holder.socketId, color: holder.color };
+    locks.set(key, lock);
+    startLockTimer(roomId, key, lock);
+  });
+
+  broadcastLocks(roomId);
+}
+
+/**
+ * Release a socket's locks on the given objects, or all of its locks
+ */
+function unlockObjects(roomId, socketId, objectIds) {
+  const locks = objectLocks.get(roomId);
+  if (!locks) return;
+
+  let released = false;
+  for (const [key, lock] of locks) {
+    if (lock.socketId === socketId && (!objectIds || objectIds.includes(lock.objectId))) {
+      clearTimeout(lock.timer);
+      locks.delete(key);
+      released = true;
+    }
+  }
+
+  if (released) broadcastLocks(roomId);
+}
+
+/**
+ * Push back the expiry of a lock held by a socket
+ */
+function renewLock(roomId, pageId, objectId, socketId) {
+  const key = getLockKey(pageId, objectId);
+  const locks = objectLocks.get(roomId);
+  const lock = locks && locks.get(key);
+  if (!lock || lock.socketId !== socketId) return;
+
+  clearTimeout(lock.timer);
+  startLockTimer(roomId, key, lock);
+}
+
+/**
+ * Release a lock automatically once it has not been renewed for LOCK_TIMEOUT_MS
+ */
+function startLockTimer(roomId, key, lock) {
+  lock.expiresAt = new Date(Date.now() + LOCK_TIMEOUT_MS).toISOString();
+  lock.timer = setTimeout(() => {
+    const locks = objectLocks.get(roomId);
+    if (locks && locks.get(key) === lock) {
+      locks.delete(key);
+      broadcastLocks(roomId);
+    }
+  }, LOCK_TIMEOUT_MS);
+}
+
+/**
+ * Drop locks on objects or pages that no longer exist, e.g. after a remove, clear or restore
+ */
+function releaseMissingLocks(roomId, whiteboard) {
+  const locks = objectLocks.get(roomId);
+  if (!locks) return;
+
+  let released = false;
+  for (const [key, lock] of locks) {
+    const page = whiteboard.pages.find(item => item.id === lock.pageId);
+    if (!page || !page.objects.has(lock.objectId)) {
+      clearTimeout(lock.timer);
+      locks.delete(key);
+      released = true;
+    }
+  }
+
+  if (released) broadcastLocks(roomId);
+}
+
+/**
+ * Current locks of a room as sent to clients
+ */
+function serializeLocks(roomId) {
+  const locks = objectLocks.get(roomId) || new Map();
+  return Array.from(locks.values(), lock => ({
+    pageId: lock.pageId,
+    objectId: lock.objectId,
+    userId: lock.userId,
+    userName: lock.userName,
+    socketId: lock.socketId,
+    color: lock.color,
+    expiresAt: lock.expiresAt
+  }));
+}
+
+/**
+ * Send a room its current locks, forgetting the room's lock map once it is empty
+ */
+function broadcastLocks(roomId) {
+  const locks = objectLocks.get(roomId);
+  if (locks && locks.size === 0) objectLocks.delete(roomId);
+
+  if (ioInstance) {
+    ioInstance.to(roomId).emit('whiteboard-locks', serializeLocks(roomId));
+  }
+}
+
+/**
+ * Validate a list of object ids sent by a client
+ */
+function validateObjectIds(objectIds) {
+  if (!Array.isArray(objectIds) || objectIds.length === 0 || objectIds.some(id => typeof id !== 'string')) {
+    throw new AppError('Please provide the objectIds to lock', 400);
+  }
+  if (objectIds.length > MAX_LOCKS_PER_REQUEST) {
+    throw new AppError(`At most ${MAX_LOCKS_PER_REQUEST} objects can be locked at once`, 400);
+  }
+  return Array.from(new Set(objectIds));
+}
+
+/**
+ * Read a comma-separated list setting into a set, falling back to the defaults when unset
+ */
+function parseListSetting(value, defaults) {
+  const items = (value || '').split(',').map(item => item.trim()).filter(Boolean);
+  return new Set(items.length > 0 ? items : defaults);
+}
+
+/**
+ * Reject an object operation from a client that is over the payload size, exceeds the page's
+ * object limit or uses an object type or property that is not allowed. Rejections are counted
+ * per room for getStats().
+ */
+function checkPayloadLimits(roomId, whiteboard, operation) {
+  try {
+    const size = Buffer.byteLength(JSON.stringify(operation), 'utf8');
+    if (size > MAX_PAYLOAD_BYTES) {
+      throw new AppError(`Whiteboard operations must be at most ${MAX_PAYLOAD_BYTES} bytes`, 413);
+    }
+
+    const page = findPage(whiteboard, operation.pageId);
+    switch (operation.type) {
+      case 'add':
+        if (page.objects.size >= MAX_OBJECTS_PER_PAGE) {
+          throw new AppError(`A page can have at most ${MAX_OBJECTS_PER_PAGE} objects`, 413);
+        }
+        checkObjectContent(operation.object);
+        break;
+
+      case 'update':
+        checkObjectContent(operation.changes);
+        break;
+
+      case 'replace': {
+        const objects = isPlainObject(operation.canvasJSON) && Array.isArray(operation.canvasJSON.objects) ? operation.canvasJSON.objects : [];
+        if (objects.length > MAX_OBJECTS_PER_PAGE) {
+          throw new AppError(`A page can have at most ${MAX_OBJECTS_PER_PAGE} objects`, 413);
+        }
+        objects.forEach(checkObjectContent);
+        break;
+      }
+
+      default:
+        break;
+    }
+  } catch (error) {
+    if (error.statusCode === 413 || error.statusCode === 422) {
+      rejectedPayloads.set(roomId, (rejectedPayloads.get(roomId) || 0) + 1);
+      totalRejectedPayloads += 1;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Check an object, or the changes to one, only uses allowed types and properties,
+ * including the children of groups
+ */
+function checkObjectContent(object) {
+  if (!isPlainObject(object)) return;
+
+  const property = Object.keys(object).find(key => !ALLOWED_OBJECT_PROPERTIES.has(key));
+  if (property) {
+    const error = new AppError(`Object property "${property}" is not allowed`, 422);
+    error.objectId = typeof object.id === 'string' ? object.id : undefined;
+    throw error;
+  }
+  if ('type' in object && !ALLOWED_OBJECT_TYPES.has(object.type)) {
+    const error = new AppError(`Object type "${object.type}" is not allowed`, 422);
+    error.objectId = typeof object.id === 'string' ? object.id : undefined;
+    throw error;
+  }
+  if (Array.isArray(object.objects)) {
+    object.objects.forEach(checkObjectContent);
+  }
+}
+
+/**
+ * Create a whiteboard with a single empty page
+ */
+function createWhiteboard() {
+  return { pages: [createPage(`page_${uuidv4()}`, 'Page 1')], revision: 0 };
+}
+
+/**
+ * Create an empty page
+ */
+function createPage(id, name) {
+  return { id, name, objects: new Map(), canvas: {}, revision: 0 };
+}
+
+/**
+ * Socket.IO room of the sockets viewing a page
+ */
+function getPageRoom(roomId, pageId) {
+  return `whiteboard:${roomId}:page:${pageId}`;
+}
+
+/**
+ * Get a room's whiteboard from memory, loading it from the database the first time
+ */
+async function ensureWhiteboard(roomId) {
+  if (whiteboards.has(roomId)) return whiteboards.get(roomId);
+
+  // Sockets joining while the room loads share the same load
+  if (!loadingWhiteboards.has(roomId)) {
+    const loading = loadWhiteboard(roomId)
+      .then(async whiteboard => {
+        await ensureTimeline(roomId, whiteboard);
+        whiteboards.set(roomId, whiteboard);
+        return whiteboard;
+      })
+      .finally(() => loadingWhiteboards.delete(roomId));
+    loadingWhiteboards.set(roomId, loading);
+  }
+
+  return loadingWhiteboards.get(roomId);
+}
+
+/**
+ * Load a saved whiteboard, or an empty one if the room has none yet
+ */
+async function loadWhiteboard(roomId) {
+  const { data: row, error } = await supabaseAdmin
+    .from('whiteboards')
+    .select('state, revision')
+    .eq('room_id', roomId)
+    .maybeSingle();
+
+  if (error) throw new AppError(error.message, 500);
+
+  const whiteboard = createWhiteboard();
+  if (row && row.state) {
+    whiteboard.pages = parseWhiteboardState(row.state);
+    whiteboard.revision = row.revision || 0;
+  }
+  return whiteboard;
+}
+
+/**
+ * Save a room's whiteboard shortly after its latest change, so a burst of
+ * operations results in a single write. A board that keeps changing is still
+ * saved once its oldest unsaved change is MAX_SAVE_DELAY_MS old.
+ */
+function scheduleSave(roomId) {
+  if (!unsavedSince.has(roomId)) unsavedSince.set(roomId, Date.now());
+  const delay = Math.min(SAVE_DELAY_MS, unsavedSince.get(roomId) + MAX_SAVE_DELAY_MS - Date.now());
+
+  clearTimeout(saveTimers.get(roomId));
+  saveTimers.set(roomId, setTimeout(() => {
+    saveWhiteboard(roomId).catch(error => {
+      console.error('❌ Error saving whiteboard:', error);
+    });
+  }, Math.max(delay, 0)));
+}
+
+/**
+ * Write a room's current whiteboard and its recorded events to the database now
+ */
+function saveWhiteboard(roomId) {
+  clearTimeout(saveTimers.get(roomId));
+  saveTimers.delete(roomId);
+  unsavedSince.delete(roomId);
+
+  return enqueueWrite(roomId, async () => {
+    const whiteboard = whiteboards.get(roomId);
+    if (!whiteboard) return;
+
+    // Events go first, and stay pending if they fail, so the replay never misses an operation
+    const events = pendingEvents.get(roomId) || [];
+    pendingEvents.delete(roomId);
+    if (events.length > 0) {
+      const { error: eventsError } = await supabaseAdmin
+        .from('whiteboard_events')
+        .upsert(events, { onConflict: 'room_id,seq' });
+
+      if (eventsError) {
+        pendingEvents.set(roomId, events.concat(pendingEvents.get(roomId) || []));
+        throw new AppError(eventsError.message, 500);
+      }
+    }
+
+    const { error } = await supabaseAdmin
+      .from('whiteboards')
+      .upsert([{
+        room_id: roomId,
+        state: toWhiteboardJSON(whiteboard),
+        revision: whiteboard.revision,
+        updated_at: new Date().toISOString()
+      }], { onConflict: 'room_id' });
+
+    if (error) throw new AppError(error.message, 500);
+  });
+}
+
+/**
+ * Run a database write for a room after the room's previous writes.
+ * Writes for the same room are chained so an older state never overwrites a newer one.
+ */
+function enqueueWrite(roomId, write) {
+  const previous = saveQueues.get(roomId) || Promise.resolve();
+  const result = previous.then(write);
+
+  const tail = result.catch(() => {});
+  saveQueues.set(roomId, tail);
+  tail.then(() => {
+    if (saveQueues.get(roomId) === tail) saveQueues.delete(roomId);
+  });
+
+  return result;
+}
+
+/**
+ * Save an empty room's whiteboard and drop it from memory, unless someone rejoined meanwhile.
+ * The room's replay history is trimmed to its retention at the same time.
+ */
+async function releaseWhiteboard(roomId) {
+  try {
+    await saveWhiteboard(roomId);
+  } catch (error) {
+    // Keep the whiteboard in memory so the next change or join saves it again
+    console.error('❌ Error saving whiteboard:', error);
+    return;
+  }
+
+  if (!roomUsers.has(roomId) && !saveTimers.has(roomId)) {
+    whiteboards.delete(roomId);
+    rejectedPayloads.delete(roomId);
+  }
+
+  pruneTimeline(roomId).catch(error => {
+    console.error('❌ Error trimming whiteboard replay history:', error);
+  });
+}
+
+/**
+ * Save a room's whiteboard now if it has changes waiting, and wait for its writes to finish
+ */
+async function flushWhiteboard(roomId) {
+  if (saveTimers.has(roomId) || pendingEvents.has(roomId)) {
+    await saveWhiteboard(roomId);
+  } else {
+    await saveQueues.get(roomId);
+  }
+}
+
+/**
+ * Save every whiteboard with changes still waiting for their debounced save
+ */
+function flushPendingSaves() {
+  return Promise.allSettled(Array.from(saveTimers.keys()).map(roomId => saveWhiteboard(roomId)));
+}
+
+/**
+ * Queue an applied operation for the replay log, stamped with the whiteboard's new revision
+ */
+function recordEvent(roomId, operation, user) {
+  if (!pendingEvents.has(roomId)) pendingEvents.set(roomId, []);
+  pendingEvents.get(roomId).push({
+    room_id: roomId,
+    seq: whiteboards.get(roomId).revision,
+    operation: JSON.parse(JSON.stringify(operation)),
+    user_id: user.id,
+    user_name: user.name,
+    created_at: new Date().toISOString()
+  });
+}
+
+/**
+ * Record that a user has joined a room's whiteboard
+ */
+async function addParticipant(roomId, userId) {
+  const { error } = await supabaseAdmin
+    .from('whiteboard_participants')
+    .upsert([{
+      room_id: roomId,
+      user_id: userId,
+      joined_at: new Date().toISOString()
+    }], { onConflict: 'room_id,user_id', ignoreDuplicates: true });
+
+  if (error) throw new AppError(error.message, 500);
+}
+
+/**
+ * Start a room's replay history from its current state the first time the room is opened
+ */
+async function ensureTimeline(roomId, whiteboard) {
+  const now = new Date().toISOString();
+  const { error } = await supabaseAdmin
+    .from('whiteboard_timelines')
+    .upsert([{
+      room_id: roomId,
+      retention_days: null,
+      base_state: toWhiteboardJSON(whiteboard),
+      base_revision: whiteboard.revision,
+      base_at: now,
+      updated_at: now
+    }], { onConflict: 'room_id', ignoreDuplicates: true });
+
+  if (error) throw new AppError(error.message, 500);
+}
+
+/**
+ * Load a room's replay timeline or fail with a 404
+ */
+async function findTimeline(roomId) {
+  const { data: timeline, error } = await supabaseAdmin
+    .from('whiteboard_timelines')
+    .select('*')
+    .eq('room_id', roomId)
+    .maybeSingle();
+
+  if (error) throw new AppError(error.message, 500);
+  if (!timeline) throw new AppError('No replay history for this whiteboard', 404);
+
+  return timeline;
+}
+
+/**
+ * Load a room's events in order, after a seq and optionally up to a time
+ */
+async function fetchEvents(roomId, { afterSeq, until, limit = EVENT_BATCH_SIZE }) {
+  let query = supabaseAdmin
+    .from('whiteboard_events')
+    .select('*')
+    .eq('room_id', roomId)
+    .gt('seq', afterSeq);
+
+  if (until) query = query.lte('created_at', until);
+
+  const { data: events, error } = await query
+    .order('seq', { ascending: true })
+    .limit(limit);
+
+  if (error) throw new AppError(error.message, 500);
+
+  return events;
+}
+
+/**
+ * Rebuild a whiteboard from a timeline's base state and its events up to a time.
+ * Returns the whiteboard and the last event applied, if any.
+ */
+async function replayTimeline(roomId, timeline, { until }) {
+  const whiteboard = createWhiteboard();
+  whiteboard.pages = parseWhiteboardState(timeline.base_state);
+  whiteboard.revision = timeline.base_revision;
+
+  let lastEvent = null;
+  for (;;) {
+    const events = await fetchEvents(roomId, { afterSeq: whiteboard.revision, until });
+    events.forEach(event => {
+      applyOperation(whiteboard, event.operation);
+      whiteboard.revision = event.seq;
+      lastEvent = event;
+    });
+    if (events.length < EVENT_BATCH_SIZE) break;
+  }
+
+  return { whiteboard, lastEvent };
+}
+
+/**
+ * Fold a room's events older than its retention into the timeline's base state and delete them
+ */
+function pruneTimeline(roomId) {
+  return enqueueWrite(roomId, async () => {
+    const timeline = await findTimeline(roomId);
+    const retentionDays = timeline.retention_days || DEFAULT_RETENTION_DAYS;
+    const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+    if (new Date(timeline.base_at) >= cutoff) return timeline;
+
+    const { whiteboard, lastEvent } = await replayTimeline(roomId, timeline, { until: cutoff.toISOString() });
+    const base = {
+      base_state: toWhiteboardJSON(whiteboard),
+      base_revision: whiteboard.revision,
+      base_at: lastEvent ? lastEvent.created_at : cutoff.toISOString(),
+      updated_at: new Date().toISOString()
+    };
+
+    // Move the base forward before deleting, so a failed delete only leaves events that are never replayed
+    const { error } = await supabaseAdmin
+      .from('whiteboard_timelines')
+      .update(base)
+      .eq('room_id', roomId);
+
+    if (error) throw new AppError(error.message, 500);
+
+    const { error: deleteError } = await supabaseAdmin
+      .from('whiteboard_events')
+      .delete()
+      .eq('room_id', roomId)
+      .lte('seq', base.base_revision);
+
+    if (deleteError) throw new AppError(deleteError.message, 500);
+
+    return { ...timeline, ...base };
+  });
+}
+
+/**
+ * Convert a whiteboard_events row to the shape sent to clients
+ */
+function fromEventRow(row) {
+  return {
+    seq: row.seq,
+    type: row.operation.type,
+    pageId: row.operation.pageId || null,
+    operation: row.operation,
+    userId: row.user_id,
+    userName: row.user_name,
+    createdAt: row.created_at
+  };
+}
+
+/**
+ * Save the current pages of a room as a snapshot
+ */
+async function createSnapshot(roomId, user, { name, auto }) {
+  const row = {
+    id: uuidv4(),
+    room_id: roomId,
+    name,
+    state: toWhiteboardJSON(whiteboards.get(roomId)),
+    auto,
+    created_by: user.id,
+    created_by_name: user.name,
+    created_at: new Date().toISOString()
+  };
+
+  const { error } = await supabaseAdmin
+    .from('whiteboard_snapshots')
+    .insert([row]);
+
+  if (error) throw new AppError(error.message, 500);
+
+  return fromSnapshotRow(row);
+}
+
+/**
+ * List the snapshots of a room without their canvas state, newest first
+ */
+async function listSnapshots(roomId) {
+  const { data: snapshots, error } = await supabaseAdmin
+    .from('whiteboard_snapshots')
+    .select('id, room_id, name, auto, created_by, created_by_name, created_at')
+    .eq('room_id', roomId)
+    .order('created_at', { ascending: false })
+    .limit(SNAPSHOT_LIST_LIMIT);
+
+  if (error) throw new AppError(error.message, 500);
+
+  return snapshots.map(fromSnapshotRow);
+}
+
+/**
+ * Load a snapshot of a room, with its canvas state, or fail with a 404
+ */
+async function findSnapshot(roomId, snapshotId) {
+  if (typeof snapshotId !== 'string' || snapshotId.length === 0) {
+    throw new AppError('Please provide a snapshotId', 400);
+  }
+
+  const { data: snapshot, error } = await supabaseAdmin
+    .from('whiteboard_snapshots')
+    .select('*')
+    .eq('room_id', roomId)
+    .eq('id', snapshotId)
+    .maybeSingle();
+
+  if (error) throw new AppError(error.message, 500);
+  if (!snapshot) throw new AppError('Snapshot not found', 404);
+
+  return { ...fromSnapshotRow(snapshot), state: snapshot.state };
+}
+
+/**
+ * Convert a snapshot row to the shape sent to clients
+ */
+function fromSnapshotRow(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    auto: !!row.auto,
+    createdBy: { id: row.created_by, name: row.created_by_name },
+    createdAt: row.created_at
+  };
+}
+
+/**
+ * Validate a snapshot name
+ */
+function validateSnapshotName(name) {
+  if (typeof name !== 'string' || name.trim().length === 0) {
+    throw new AppError('Please provide a snapshot name', 400);
+  }
+  if (name.trim().length > MAX_SNAPSHOT_NAME_LENGTH) {
+    throw new AppError(`Snapshot names must be at most ${MAX_SNAPSHOT_NAME_LENGTH} characters`, 400);
+  }
+  return name.trim();
+}
+
+/**
+ * Apply an operation to a whiteboard and bump its revision, and the revision of the page it
+ * changes. Throws without changing anything if the operation is invalid.
+ *
+ * Page contents:
+ * - { type: 'add', pageId, object }
+ * - { type: 'update', pageId, objectId, changes }
+ * - { type: 'remove', pageId, objectId }
+ * - { type: 'clear', pageId }
+ * - { type: 'replace', pageId, canvasJSON }
+ *
+ * Pages:
+ * - { type: 'add-page', page: { id, name }, index }
+ * - { type: 'rename-page', pageId, name }
+ * - { type: 'move-page', pageId, index }
+ * - { type: 'delete-page', pageId }
+ * - { type: 'restore', state }   replaces every page, e.g. from a snapshot
+ */
+function applyOperation(whiteboard, operation) {
+  let page = null;
+
+  switch (operation.type) {
+    case 'add': {
+      page = findPage(whiteboard, operation.pageId);
+      const object = validateObject(operation.object);
+      if (page.objects.has(object.id)) {
+        throw new AppError(`Object ${object.id} already exists`, 409);
+      }
+      page.objects.set(object.id, { ...object });
+      break;
+    }
+
+    case 'update': {
+      page = findPage(whiteboard, operation.pageId);
+      const object = findObject(page, operation.objectId);
+      const { changes } = operation;
+      if (!isPlainObject(changes) || Object.keys(changes).length === 0) {
+        throw new AppError('Please provide the object properties to change', 400);
+      }
+      if ('id' in changes && changes.id !== object.id) {
+        throw new AppError('An object id cannot be changed', 400);
+      }
+      Object.assign(object, changes);
+      break;
+    }
+
+    case 'remove':
+      page = findPage(whiteboard, operation.pageId);
+      findObject(page, operation.objectId);
+      page.objects.delete(operation.objectId);
+      break;
+
+    case 'clear':
+      page = findPage(whiteboard, operation.pageId);
+      page.objects = new Map();
+      break;
+
+    case 'replace': {
+      page = findPage(whiteboard, operation.pageId);
+      const { objects, canvas } = parseCanvasJSON(operation.canvasJSON);
+      page.objects = objects;
+      page.canvas = canvas;
+      break;
+    }
+
+    case 'add-page': {
+      const { id, name } = operation.page || {};
+      if (whiteboard.pages.length >= MAX_PAGES) {
+        throw new AppError(`A whiteboard can have at most ${MAX_PAGES} pages`, 400);
+      }
+      if (typeof id !== 'string' || id.length === 0 || whiteboard.pages.some(item => item.id === id)) {
+        throw new AppError('Pages must have a unique string id', 400);
+      }
+      const index = Number.isInteger(operation.index) ? Math.min(Math.max(operation.index, 0), whiteboard.pages.length) : whiteboard.pages.length;
+      whiteboard.pages.splice(index, 0, createPage(id, validatePageName(name)));
+      break;
+    }
+
+    case 'rename-page': {
+      const name = validatePageName(operation.name);
+      findPage(whiteboard, operation.pageId).name = name;
+      break;
+    }
+
+    case 'move-page': {
+      const target = findPage(whiteboard, operation.pageId);
+      const { index } = operation;
+      if (!Number.isInteger(index) || index < 0 || index >= whiteboard.pages.length) {
+        throw new AppError(`Page index must be between 0 and ${whiteboard.pages.length - 1}`, 400);
+      }
+      whiteboard.pages.splice(whiteboard.pages.indexOf(target), 1);
+      whiteboard.pages.splice(index, 0, target);
+      break;
+    }
+
+    case 'delete-page': {
+      const target = findPage(whiteboard, operation.pageId);
+      if (whiteboard.pages.length === 1) {
+        throw new AppError('A whiteboard must keep at least one page', 400);
+      }
+      whiteboard.pages.splice(whiteboard.pages.indexOf(target), 1);
+      break;
+    }
+
+    case 'restore':
+      whiteboard.pages = parseWhiteboardState(operation.state);
+      break;
+
+    default:
+      throw new AppError(`Unknown whiteboard operation: ${operation.type}`, 400);
+  }
+
+  if (page) page.revision += 1;
+  whiteboard.revision += 1;
+  return whiteboard;
+}
+
+/**
+ * Read the objects and canvas properties of Fabric-style canvas JSON
+ */
+function parseCanvasJSON(canvasJSON) {
+  if (!isPlainObject(canvasJSON) || !Array.isArray(canvasJSON.objects)) {
+    throw new AppError('canvasJSON must be an object with an objects array', 400);
+  }
+
+  // Fields added by serializeWhiteboard are not canvas properties
+  const { objects, revision, pageId, pages, ...canvas } = canvasJSON;
+  const objectMap = new Map();
+  objects.forEach(item => {
+    const object = validateObject(item);
+    if (objectMap.has(object.id)) {
+      throw new AppError(`Duplicate object id ${object.id}`, 400);
+    }
+    objectMap.set(object.id, { ...object });
+  });
+
+  return { objects: objectMap, canvas };
+}
+
+/**
+ * Read the pages of a saved whiteboard or snapshot. States saved before whiteboards had
+ * pages are a single canvas and become the first page.
+ */
+function parseWhiteboardState(state) {
+  if (isPlainObject(state) && !Array.isArray(state.pages)) {
+    const page = createPage(`page_${uuidv4()}`, 'Page 1');
+    Object.assign(page, parseCanvasJSON(state));
+    return [page];
+  }
+
+  if (!isPlainObject(state) || state.pages.length === 0) {
+    throw new AppError('A whiteboard state must have at least one page', 400);
+  }
+
+  const pageIds = new Set();
+  return state.pages.map(item => {
+    if (!isPlainObject(item) || typeof item.id !== 'string' || item.id.length === 0 || pageIds.has(item.id)) {
+      throw new AppError('Pages must have a unique string id', 400);
+    }
+    pageIds.add(item.id);
+
+    const { id, name, revision, ...canvasJSON } = item;
+    const page = createPage(id, validatePageName(name));
+    Object.assign(page, parseCanvasJSON(canvasJSON));
+    page.revision = Number.isInteger(revision) ? revision : 0;
+    return page;
+  });
+}
+
+/**
+ * Validate a page name
+ */
+function validatePageName(name) {
+  if (typeof name !== 'string' || name.trim().length === 0) {
+    throw new AppError('Please provide a page name', 400);
+  }
+  if (name.trim().length > MAX_PAGE_NAME_LENGTH) {
+    throw new AppError(`Page names must be at most ${MAX_PAGE_NAME_LENGTH} characters`, 400);
+  }
+  return name.trim();
+}
+
+/**
+ * Find a page of a whiteboard or fail with a 404
+ */
+function findPage(whiteboard, pageId) {
+  const page = whiteboard.pages.find(item => item.id === pageId);
+  if (!page) throw new AppError('Page not found', 404);
+  return page;
+}
+
+/**
+ * Check an object sent by a client carries a usable id
+ */
+function validateObject(object) {
+  if (!isPlainObject(object)) {
+    throw new AppError('Please provide an object', 400);
+  }
+  if (typeof object.id !== 'string' || object.id.length === 0) {
+    throw new AppError('Whiteboard objects must have a string id', 400);
+  }
+  return object;
+}
+
+/**
+ * Find an object on a page or fail with a 404
+ */
+function findObject(page, objectId) {
+  const object = page.objects.get(objectId);
+  if (!object) throw new AppError('Object not found', 404);
+  return object;
+}
+
+/**
+ * Check a payload value is a plain object rather than an array or primitive
+ */
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Convert a page to Fabric-style canvas JSON, objects in drawing order
+ */
+function toCanvasJSON(page) {
+  return {
+    ...page.canvas,
+    objects: Array.from(page.objects.values())
+  };
+}
+
+/**
+ * Convert every page of a whiteboard to the JSON that is saved and snapshotted
+ */
+function toWhiteboardJSON(whiteboard) {
+  return {
+    pages: whiteboard.pages.map(page => ({ id: page.id, name: page.name, revision: page.revision, ...toCanvasJSON(page) }))
+  };
+}
+
+/**
+ * Ordered list of pages sent to clients, without their objects
+ */
+function getPageSummaries(whiteboard) {
+  return whiteboard.pages.map(page => ({ id: page.id, name: page.name, objectCount: page.objects.size }));
+}
+
+/**
+ * Page state sent to clients: the page's canvas JSON and revision, plus the list of pages
+ */
+function serializeWhiteboard(whiteboard, pageId) {
+  const page = findPage(whiteboard, pageId);
+  return {
+    ...toCanvasJSON(page),
+    pageId: page.id,
+    pages: getPageSummaries(whiteboard),
+    revision: page.revision
+  };
+}
+
 /**
  * Get statistics about active whiteboards
  */
@@ -166,16 +1739,28 @@ function getStats() {
     totalRooms: whiteboards.size,
     totalActiveRooms: roomUsers.size,
     totalUsers: 0,
+    totalRejectedPayloads,
     rooms: []
   };
 
   roomUsers.forEach((users, roomId) => {
     stats.totalUsers += users.size;
     const whiteboard = whiteboards.get(roomId);
+    const pages = whiteboard ? whiteboard.pages : [];
     stats.rooms.push({
       roomId,
       userCount: users.size,
-      objectCount: whiteboard ? whiteboard.objects.length : 0
+      pageCount: pages.length,
+      objectCount: pages.reduce((sum, page) => sum + page.objects.size, 0),
+      lockCount: objectLocks.has(roomId) ? objectLocks.get(roomId).size : 0,
+      revision: whiteboard ? whiteboard.revision : 0,
+      rejectedPayloads: rejectedPayloads.get(roomId) || 0,
+      pages: pages.map(page => ({
+        id: page.id,
+        name: page.name,
+        objectCount: page.objects.size,
+        userCount: Array.from(users).filter(user => user.pageId === page.id).length
+      }))
     });
   });
 
@@ -185,6 +1770,15 @@ function getStats() {
 module.exports = {
   initializeSocketIO,
   getStats,
+  exportSvg,
+  getReplay,
+  updateReplaySettings,
+  requireWhiteboardParticipant,
+  applyOperation,
+  createWhiteboard,
+  serializeWhiteboard,
+  toWhiteboardJSON,
+  flushPendingSaves,
   whiteboards,
   roomUsers
 };
@@ -21,6 +21,7 @@ const VideoCallSignaling = require('./controller/videoCallSignaling');
 const ChatController = require('./controller/chatController');
 const TaskBoardController = require('./controller/taskBoardController');
 const WhiteboardController = require('./controller/whiteboardController');
+const { protectSocket } = require('./controller/authController');
 
 // Environment variables
 const PORT = process.env.PORT || 8000;
@@ -53,6 +54,9 @@ io.engine.on('connection_error', (err) => {
   // Error handling
 });
 
+// Authenticate every Socket.IO connection with the same token as the REST API
+io.use(protectSocket);
+
 // Initialize chat controller with Socket.IO
 const { activeRooms, userSessions } = ChatController.initializeSocketIO(io);
 
@@ -140,9 +144,11 @@ const gracefulShutdown = (signal) => {
   // Close Y.js WebSocket server
   wss.close();
   
-  // Close HTTP server
-  server.close(() => {
-    process.exit(0);
+  // Save whiteboard changes still waiting for their debounced save, then close HTTP server
+  WhiteboardController.flushPendingSaves().then(() => {
+    server.close(() => {
+      process.exit(0);
+    });
   });
 };
 
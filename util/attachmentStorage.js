@@ -0,0 +1,75 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { supabaseAdmin } = require('./supabaseClient');
+
+// Storage backends for chat attachments. Each backend stores files by key:
+// save(key, buffer, contentType), read(key) -> Buffer, remove(key)
+
+// Local disk, under CHAT_UPLOAD_DIR (uploads/chat by default)
+const createLocalStorage = () => {
+    const root = path.resolve(process.env.CHAT_UPLOAD_DIR || path.join(__dirname, '..', 'uploads', 'chat'));
+
+    // Keys are generated by the server, but never let one point outside the upload directory
+    const resolve = (key) => {
+        const filePath = path.resolve(root, key);
+        if (!filePath.startsWith(root + path.sep)) {
+            throw new Error(`Invalid storage key: ${key}`);
+        }
+        return filePath;
+    };
+
+    return {
+        name: 'local',
+        save: async (key, buffer) => {
+            const filePath = resolve(key);
+            await fs.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.writeFile(filePath, buffer);
+        },
+        read: (key) => fs.readFile(resolve(key)),
+        remove: (key) => fs.rm(resolve(key), { force: true })
+    };
+};
+
+// Supabase Storage, in the CHAT_ATTACHMENT_BUCKET bucket (chat-attachments by default)
+const createSupabaseStorage = () => {
+    const bucket = supabaseAdmin.storage.from(process.env.CHAT_ATTACHMENT_BUCKET || 'chat-attachments');
+
+    return {
+        name: 'supabase',
+        save: async (key, buffer, contentType) => {
+            const { error } = await bucket.upload(key, buffer, { contentType, upsert: false });
+            if (error) throw new Error(error.message);
+        },
+        read: async (key) => {
+            const { data, error } = await bucket.download(key);
+            if (error) throw new Error(error.message);
+            return Buffer.from(await data.arrayBuffer());
+        },
+        remove: async (key) => {
+            const { error } = await bucket.remove([key]);
+            if (error) throw new Error(error.message);
+        }
+    };
+};
+
+const backends = {
+    local: createLocalStorage,
+    supabase: createSupabaseStorage
+};
+
+const instances = new Map();
+
+// Get a storage backend by name, CHAT_ATTACHMENT_STORAGE (local by default) when no name is given
+const getAttachmentStorage = (name = process.env.CHAT_ATTACHMENT_STORAGE || 'local') => {
+    if (!backends[name]) {
+        throw new Error(`Unknown attachment storage: ${name}`);
+    }
+    if (!instances.has(name)) {
+        instances.set(name, backends[name]());
+    }
+    return instances.get(name);
+};
+
+module.exports = {
+    getAttachmentStorage
+};
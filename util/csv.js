@@ -0,0 +1,91 @@
+// Minimal RFC 4180 CSV helpers
+
+// Text starting with one of these is run as a formula by spreadsheet apps. Text that already
+// starts with ' before one of them is matched too, so its own ' survives an export and import.
+const FORMULA_PATTERN = /^'*[=+\-@\t\r]/;
+
+// Quote a value if it contains a delimiter, quote or line break.
+// Text that a spreadsheet would read as a formula is prefixed with ' so it stays plain text.
+const escapeCsvValue = (value) => {
+    if (value === null || value === undefined) return '';
+    let text = String(value);
+    if (typeof value === 'string' && FORMULA_PATTERN.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Convert an array of objects to CSV using the given header order
+const toCsv = (headers, rows) => {
+    const lines = [headers.map(escapeCsvValue).join(',')];
+    rows.forEach(row => {
+        lines.push(headers.map(header => escapeCsvValue(row[header])).join(','));
+    });
+    return lines.join('\r\n') + '\r\n';
+};
+
+// Drop the ' that escapeCsvValue puts in front of formula-like text
+const unescapeFormula = (value) => (value.startsWith("'") && FORMULA_PATTERN.test(value.slice(1)) ? value.slice(1) : value);
+
+// Parse CSV text into an array of objects keyed by the header row
+const parseCsv = (text) => {
+    const records = [];
+    let record = [];
+    let field = '';
+    let inQuotes = false;
+
+    // Strip a UTF-8 byte order mark left by spreadsheet exports
+    const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            record.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            record.push(field);
+            records.push(record);
+            record = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (inQuotes) {
+        throw new Error('Unterminated quoted field');
+    }
+    if (field !== '' || record.length > 0) {
+        record.push(field);
+        records.push(record);
+    }
+
+    // Skip blank lines and map the remaining records onto the header row
+    const [headers = [], ...rows] = records.filter(row => row.some(value => value.trim() !== ''));
+    return {
+        headers: headers.map(header => header.trim()),
+        rows: rows.map(row => {
+            const entry = {};
+            headers.forEach((header, index) => {
+                entry[header.trim()] = row[index] !== undefined ? unescapeFormula(row[index]) : '';
+            });
+            return entry;
+        })
+    };
+};
+
+module.exports = {
+    toCsv,
+    parseCsv
+};
@@ -0,0 +1,66 @@
+// Highlighted snippets for search results
+
+const SNIPPET_CONTEXT = 60;
+
+// Escape text for use inside HTML
+const escapeHtml = (text) => text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+// Escape text for use inside a regular expression
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Terms to highlight for a web-search style query: words and quoted phrases,
+// without excluded (-word) terms and the OR keyword
+const getSearchTerms = (query) => {
+    const terms = [];
+    const pattern = /(-?)"([^"]+)"|(-?)(\S+)/g;
+    let match;
+    while ((match = pattern.exec(query)) !== null) {
+        const excluded = match[1] || match[3];
+        const term = (match[2] || match[4]).replace(/^[^\w]+|[^\w]+$/g, '');
+        if (!excluded && term && term.toLowerCase() !== 'or') {
+            terms.push(term);
+        }
+    }
+    // Longest first so a phrase wins over the words inside it
+    return Array.from(new Set(terms)).sort((a, b) => b.length - a.length);
+};
+
+// Cut a snippet around the first match of the query in the text and wrap every match in <mark>.
+// Matches are word prefixes so stemmed results ("links" for "link") are highlighted too.
+// The snippet is HTML-escaped apart from the <mark> tags.
+const buildSnippet = (text, query, context = SNIPPET_CONTEXT) => {
+    const source = String(text || '');
+    const terms = getSearchTerms(query);
+    const matcher = terms.length > 0
+        ? new RegExp(`\\b(?:${terms.map(escapeRegExp).join('|')})\\w*`, 'gi')
+        : null;
+
+    const first = matcher ? source.search(matcher) : -1;
+    const start = first > context ? first - context : 0;
+    const end = Math.min(source.length, Math.max(first, 0) + context * 2);
+    const excerpt = source.slice(start, end);
+
+    let snippet = '';
+    let last = 0;
+    if (matcher) {
+        matcher.lastIndex = 0;
+        let match;
+        while ((match = matcher.exec(excerpt)) !== null) {
+            snippet += escapeHtml(excerpt.slice(last, match.index)) + `<mark>${escapeHtml(match[0])}</mark>`;
+            last = match.index + match[0].length;
+        }
+    }
+    snippet += escapeHtml(excerpt.slice(last));
+
+    return `${start > 0 ? '…' : ''}${snippet}${end < source.length ? '…' : ''}`;
+};
+
+module.exports = {
+    buildSnippet,
+    getSearchTerms
+};
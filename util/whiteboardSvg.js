@@ -0,0 +1,252 @@
+// Render Fabric-style whiteboard JSON to a standalone SVG document
+
+const SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+const DEFAULT_FONT_SIZE = 40;
+const DEFAULT_LINE_HEIGHT = 1.16;
+const PATH_COMMANDS = 'MLHVCSQTAZmlhvcsqtaz';
+const IMAGE_DATA_URL = /^data:image\/(png|jpeg|gif|webp);base64,[a-z0-9+/]+=*$/i;
+const COLOR = /^(#[0-9a-f]{3,8}|(rgb|hsl)a?\(\s*[\d.%]+(\s*,\s*[\d.%]+){2,3}\s*\)|[a-z]{3,20})$/i;
+
+// Escape text for use in XML content and attribute values
+const escapeXml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+// Read a finite number, falling back to a default
+const num = (value, fallback = 0) => {
+    const number = Number(value);
+    return value !== null && value !== '' && Number.isFinite(number) ? number : fallback;
+};
+
+// Round coordinates so documents stay small
+const fmt = (value) => String(Math.round(value * 100) / 100);
+
+// Check a colour is a plain CSS colour (gradients and patterns are not supported)
+const isColor = (value) => typeof value === 'string' && (COLOR.test(value.trim()) || value === 'transparent');
+
+const color = (value, fallback) => isColor(value) ? value.trim() : fallback;
+
+// Size of an object before scaling, as Fabric stores it
+const getSize = (object) => {
+    switch (object.type) {
+        case 'circle':
+            return { width: num(object.radius) * 2, height: num(object.radius) * 2 };
+        case 'ellipse':
+            return { width: num(object.rx) * 2, height: num(object.ry) * 2 };
+        default:
+            return { width: num(object.width), height: num(object.height) };
+    }
+};
+
+// Centre, size and transform of an object, honouring its origin, scale, flip and angle
+const getGeometry = (object) => {
+    const { width, height } = getSize(object);
+    const strokeWidth = object.stroke ? num(object.strokeWidth, 1) : 0;
+    const scaleX = num(object.scaleX, 1) * (object.flipX ? -1 : 1);
+    const scaleY = num(object.scaleY, 1) * (object.flipY ? -1 : 1);
+    const angle = num(object.angle);
+    const radians = angle * Math.PI / 180;
+
+    // Offset from the origin point to the centre, in the object's scaled coordinates
+    const boxWidth = (width + strokeWidth) * Math.abs(scaleX);
+    const boxHeight = (height + strokeWidth) * Math.abs(scaleY);
+    const originOffset = { left: 0.5, center: 0, right: -0.5, top: 0.5, bottom: -0.5 };
+    const dx = (originOffset[object.originX] ?? 0.5) * boxWidth;
+    const dy = (originOffset[object.originY] ?? 0.5) * boxHeight;
+
+    const cx = num(object.left) + dx * Math.cos(radians) - dy * Math.sin(radians);
+    const cy = num(object.top) + dx * Math.sin(radians) + dy * Math.cos(radians);
+
+    return { cx, cy, width, height, strokeWidth, scaleX, scaleY, angle, radians, boxWidth, boxHeight };
+};
+
+// Axis-aligned bounds of an object on the canvas
+const getBounds = (object) => {
+    const { cx, cy, radians, boxWidth, boxHeight } = getGeometry(object);
+    const halfWidth = (Math.abs(boxWidth * Math.cos(radians)) + Math.abs(boxHeight * Math.sin(radians))) / 2;
+    const halfHeight = (Math.abs(boxWidth * Math.sin(radians)) + Math.abs(boxHeight * Math.cos(radians))) / 2;
+    return { minX: cx - halfWidth, minY: cy - halfHeight, maxX: cx + halfWidth, maxY: cy + halfHeight };
+};
+
+// Fill, stroke and opacity attributes shared by every shape
+const paintAttributes = (object, defaultFill) => {
+    const attributes = [
+        `fill="${escapeXml(color(object.fill, defaultFill))}"`,
+        `stroke="${escapeXml(color(object.stroke, 'none'))}"`
+    ];
+    if (object.stroke) {
+        attributes.push(`stroke-width="${fmt(num(object.strokeWidth, 1))}"`);
+        if (object.strokeLineCap) attributes.push(`stroke-linecap="${escapeXml(object.strokeLineCap)}"`);
+        if (object.strokeLineJoin) attributes.push(`stroke-linejoin="${escapeXml(object.strokeLineJoin)}"`);
+        if (Array.isArray(object.strokeDashArray)) {
+            attributes.push(`stroke-dasharray="${object.strokeDashArray.map(value => fmt(num(value))).join(' ')}"`);
+        }
+    }
+    if (object.opacity !== undefined && num(object.opacity, 1) < 1) {
+        attributes.push(`opacity="${fmt(Math.max(num(object.opacity, 1), 0))}"`);
+    }
+    return attributes.join(' ');
+};
+
+// Convert a Fabric path (array of commands) to SVG path data, or null if it is malformed
+const toPathData = (path) => {
+    if (!Array.isArray(path)) return null;
+
+    const commands = [];
+    for (const command of path) {
+        if (!Array.isArray(command) || typeof command[0] !== 'string' || !PATH_COMMANDS.includes(command[0]) || command[0].length !== 1) {
+            return null;
+        }
+        const args = command.slice(1).map(Number);
+        if (args.some(arg => !Number.isFinite(arg))) return null;
+        commands.push([command[0], ...args.map(fmt)].join(' '));
+    }
+    return commands.join(' ');
+};
+
+// Render the shape of an object around its centre, or null for unsupported objects
+const renderShape = (object, { width, height }) => {
+    switch (object.type) {
+        case 'rect':
+            return `<rect x="${fmt(-width / 2)}" y="${fmt(-height / 2)}" width="${fmt(width)}" height="${fmt(height)}"` +
+                ` rx="${fmt(num(object.rx))}" ry="${fmt(num(object.ry))}" ${paintAttributes(object, 'black')}/>`;
+
+        case 'circle':
+            return `<circle cx="0" cy="0" r="${fmt(num(object.radius))}" ${paintAttributes(object, 'black')}/>`;
+
+        case 'ellipse':
+            return `<ellipse cx="0" cy="0" rx="${fmt(num(object.rx))}" ry="${fmt(num(object.ry))}" ${paintAttributes(object, 'black')}/>`;
+
+        case 'line': {
+            // Fabric keeps the line's end points in canvas coordinates around its centre
+            const x1 = num(object.x1), y1 = num(object.y1), x2 = num(object.x2), y2 = num(object.y2);
+            const midX = (x1 + x2) / 2, midY = (y1 + y2) / 2;
+            return `<line x1="${fmt(x1 - midX)}" y1="${fmt(y1 - midY)}" x2="${fmt(x2 - midX)}" y2="${fmt(y2 - midY)}"` +
+                ` ${paintAttributes({ ...object, stroke: object.stroke || 'black' }, 'none')}/>`;
+        }
+
+        case 'path': {
+            const data = toPathData(object.path);
+            if (!data) return null;
+            const offsetX = object.pathOffset ? num(object.pathOffset.x) : 0;
+            const offsetY = object.pathOffset ? num(object.pathOffset.y) : 0;
+            return `<path d="${data}" transform="translate(${fmt(-offsetX)} ${fmt(-offsetY)})" ${paintAttributes(object, 'none')}/>`;
+        }
+
+        case 'text':
+        case 'i-text':
+        case 'textbox': {
+            if (typeof object.text !== 'string') return null;
+            const fontSize = num(object.fontSize, DEFAULT_FONT_SIZE);
+            const lineHeight = fontSize * num(object.lineHeight, DEFAULT_LINE_HEIGHT);
+            const anchors = { center: ['middle', 0], right: ['end', width / 2] };
+            const [anchor, x] = anchors[object.textAlign] || ['start', -width / 2];
+            const lines = object.text.split('\n').map((line, index) =>
+                `<tspan x="${fmt(x)}" y="${fmt(-height / 2 + fontSize + index * lineHeight)}">${escapeXml(line)}</tspan>`
+            );
+            const font = [
+                `font-size="${fmt(fontSize)}"`,
+                `font-family="${escapeXml(object.fontFamily || 'Times New Roman')}"`,
+                object.fontWeight ? `font-weight="${escapeXml(object.fontWeight)}"` : '',
+                object.fontStyle ? `font-style="${escapeXml(object.fontStyle)}"` : ''
+            ].filter(Boolean).join(' ');
+            return `<text text-anchor="${anchor}" ${font} ${paintAttributes(object, 'black')} xml:space="preserve">${lines.join('')}</text>`;
+        }
+
+        case 'image':
+            // Only embedded images are rendered, the server never fetches remote URLs
+            if (typeof object.src !== 'string' || !IMAGE_DATA_URL.test(object.src)) return null;
+            return `<image x="${fmt(-width / 2)}" y="${fmt(-height / 2)}" width="${fmt(width)}" height="${fmt(height)}"` +
+                ` href="${escapeXml(object.src)}" preserveAspectRatio="none"${object.opacity !== undefined ? ` opacity="${fmt(num(object.opacity, 1))}"` : ''}/>`;
+
+        default:
+            return null;
+    }
+};
+
+// Render one object inside a group carrying its position, rotation and scale
+const renderObject = (object) => {
+    if (!object || typeof object !== 'object' || object.visible === false) return null;
+
+    const geometry = getGeometry(object);
+    const shape = renderShape(object, geometry);
+    if (!shape) return null;
+
+    const transform = [`translate(${fmt(geometry.cx)} ${fmt(geometry.cy)})`];
+    if (geometry.angle) transform.push(`rotate(${fmt(geometry.angle)})`);
+    if (geometry.scaleX !== 1 || geometry.scaleY !== 1) transform.push(`scale(${fmt(geometry.scaleX)} ${fmt(geometry.scaleY)})`);
+
+    return `<g transform="${transform.join(' ')}">${shape}</g>`;
+};
+
+/**
+ * Render canvas JSON ({ objects, background? }) to an SVG document.
+ * Options: { crop, padding, background, width, height }
+ * - crop: fit the document to the bounding box of the objects
+ * - width/height: size of the uncropped canvas, defaults to the extent of the objects
+ * Unsupported objects are skipped and counted in `skipped`.
+ */
+const renderWhiteboardSvg = (canvasJSON, { crop = false, padding = 0, background, width, height } = {}) => {
+    const objects = Array.isArray(canvasJSON.objects) ? canvasJSON.objects : [];
+    const rendered = [];
+    let skipped = 0;
+    let bounds = null;
+
+    objects.forEach(object => {
+        const element = renderObject(object);
+        if (!element) {
+            skipped++;
+            return;
+        }
+        rendered.push(element);
+
+        const objectBounds = getBounds(object);
+        bounds = bounds ? {
+            minX: Math.min(bounds.minX, objectBounds.minX),
+            minY: Math.min(bounds.minY, objectBounds.minY),
+            maxX: Math.max(bounds.maxX, objectBounds.maxX),
+            maxY: Math.max(bounds.maxY, objectBounds.maxY)
+        } : objectBounds;
+    });
+
+    const extent = bounds || { minX: 0, minY: 0, maxX: 0, maxY: 0 };
+    const viewBox = crop
+        ? {
+            x: extent.minX - padding,
+            y: extent.minY - padding,
+            width: extent.maxX - extent.minX + padding * 2,
+            height: extent.maxY - extent.minY + padding * 2
+        }
+        : {
+            x: 0,
+            y: 0,
+            width: width || Math.max(extent.maxX, 0) + padding,
+            height: height || Math.max(extent.maxY, 0) + padding
+        };
+    viewBox.width = Math.max(viewBox.width, 1);
+    viewBox.height = Math.max(viewBox.height, 1);
+
+    const fill = background !== undefined ? background : canvasJSON.background;
+    const backgroundRect = isColor(fill) && fill !== 'transparent'
+        ? `<rect x="${fmt(viewBox.x)}" y="${fmt(viewBox.y)}" width="${fmt(viewBox.width)}" height="${fmt(viewBox.height)}" fill="${escapeXml(fill.trim())}"/>`
+        : '';
+
+    const svg = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<svg xmlns="${SVG_NAMESPACE}" width="${fmt(viewBox.width)}" height="${fmt(viewBox.height)}"` +
+            ` viewBox="${fmt(viewBox.x)} ${fmt(viewBox.y)} ${fmt(viewBox.width)} ${fmt(viewBox.height)}">`,
+        backgroundRect,
+        ...rendered,
+        '</svg>'
+    ].filter(Boolean).join('\n');
+
+    return { svg, rendered: rendered.length, skipped };
+};
+
+module.exports = {
+    renderWhiteboardSvg,
+    isColor
+};